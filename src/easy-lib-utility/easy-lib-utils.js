@@ -42,12 +42,21 @@ const EASY_LIB_UTILITIES = (() => {
 		sharedState: "EasyModuleVault",
 		sharedObject: "EASY_MODULE_FORGE",
 		phraseLanguage: "enUS",
+
+		// Per-player command limit used until the GM sets one with --ratelimit
+		defaultRateLimit: { enabled: true, capacity: 10, refillPerSecond: 1 },
 	};
 
 	// Populated during checkInstall()
 	let PhraseFactory = {};
 	let TemplateFactory = {};
 	let ThemeFactory = {};
+	let ChatRouter = {};
+	let WizardManager = {};
+	let HistoryManager = {};
+
+	// Populated during registerEventHandlers()
+	let CommandSchema = {};
 
 	// !SECTION END of Private Data
 
@@ -62,17 +71,45 @@ const EASY_LIB_UTILITIES = (() => {
 	/**
 	 * Applies CSS rules to an HTML JSON structure as inline styles.
 	 *
-	 * This function processes CSS and HTML JSON inputs, resolving styles in the following precedence:
-	 * Universal > Element > Class > ID > Inline. It supports child-specific and `:nth-child` styles, 
-	 * as well as CSS variable resolution.
+	 * Rules come from two places in the CSS JSON. The `rules` list holds `{ selector, styles }` entries in 
+	 * stylesheet order, as written by `_convertCssToJson` or by hand. The older buckets (`universal`, 
+	 * `elements`, `classes`, `attributes`, `ids`, `functions`) are still read and count as coming before 
+	 * `rules`, in that order; `attributes` entries may set an `operator` (default `=`) and a `flag`.
+	 *
+	 * Each property is resolved with the CSS cascade: `!important` declarations beat normal ones, an element's 
+	 * own inline style beats rules of the same importance, then higher selector specificity wins (IDs, then 
+	 * classes, attributes, and pseudo-classes, then element names), and finally the later rule wins. Winning 
+	 * rule values are written to `props.style` and winning inline values stay in `props.inlineStyle`, both 
+	 * without the `!important` marker.
+	 *
+	 * Roll20 chat keeps no stylesheet, so inherited properties (`color`, `font-*`, `line-height`, `text-align`, 
+	 * and the rest of the standard inherited set) are passed down through the cascade: an element that directly 
+	 * holds text receives each inherited value of its ancestors that it does not set itself, but only where it 
+	 * differs from what the inline styles written on its parent already pass on, so nothing is repeated (and 
+	 * relative values such as `0.9em` never compound). `inherit` takes the parent's value, `initial` is written 
+	 * as is, and `unset` acts as `inherit` for inherited properties and as `initial` for the others.
+	 *
+	 * Selectors may be compound (`div.card`, `a.btn[href]`), combined with descendant (`.card p`), child 
+	 * (`.card > .title`), adjacent sibling (`h3 + p`), and general sibling (`h3 ~ p`) combinators, and grouped 
+	 * with commas. Attribute selectors stand alone or in a compound and test presence (`[title]`), an exact 
+	 * value (`[target="_blank"]`), a prefix (`a[href^="!ezmod"]`), suffix (`$=`), substring (`*=`), a word in 
+	 * a space-separated list (`~=`), or a value or `value-` prefix (`|=`); an `i` flag (`[href^="!EZMOD" i]`) 
+	 * compares case-insensitively. The structural pseudo-classes `:first-child`, `:last-child`, `:only-child`, 
+	 * `:nth-child()`, `:nth-last-child()`, and the matching `-of-type` forms are supported, with `an+b` formulas 
+	 * (`odd`, `even`, `3`, `2n+1`, `-n+3`) counted over element siblings only, as are `:empty` (Selectors Level 
+	 * 3, as in browsers: an element holding only whitespace is not empty) and `:not()` with its selector lists. 
+	 * Selectors with any other pseudo-class or a pseudo-element are skipped. CSS variables declared on `:root` 
+	 * are resolved in every value.
 	 *
 	 * @example
 	 * const cssJson = `
 	 * {
 	 *   "universal": { "margin": "0" },
-	 *   "elements": { "div": { "color": "blue" } },
-	 *   "classes": { ".highlight": { "background": "yellow" } },
-	 *   "ids": { "#unique": { "border": "1px solid black" } }
+	 *   "classes": { ".highlight": { "styles": { "background": "yellow" } } },
+	 *   "rules": [
+	 *     { "selector": "div.highlight > span", "styles": { "color": "blue" } },
+	 *     { "selector": "#unique span:first-child", "styles": { "font-weight": "bold" } }
+	 *   ]
 	 * }`;
 	 *
 	 * const htmlJson = `
@@ -84,7 +121,7 @@ const EASY_LIB_UTILITIES = (() => {
 	 *   }
 	 * ]`;
 	 *
-	 * const styledHtmlJson = _applyCssToHtmlJson(cssJson, htmlJson);
+	 * const styledHtmlJson = _applyCssToHtmlJson({ cssJson, htmlJson });
 	 * console.log(JSON.parse(styledHtmlJson));
 	 *
 	 * @param {string|object} cssJson - CSS rules as a JSON string or object.
@@ -93,159 +130,538 @@ const EASY_LIB_UTILITIES = (() => {
 	 */
 	function _applyCssToHtmlJson({ cssJson, htmlJson }) {
 
-		const cssRules = JSON.parse(cssJson);
-		const htmlStructure = JSON.parse(htmlJson);
+		const cssRules = typeof cssJson === "string" ? JSON.parse(cssJson) : cssJson;
+		const htmlStructure = typeof htmlJson === "string" ? JSON.parse(htmlJson) : htmlJson;
 
-		// Extract CSS variables defined in the `:root` section
-		const cssVariables = {};
-		if (cssRules.functions && cssRules.functions[":root"]) {
-			cssRules.functions[":root"].forEach(entry => {
-				Object.assign(cssVariables, entry.styles);
-			});
-		}
+		// Rewrites the legacy buckets as selector rules, keeping the order they used to be applied in
+		const legacyRules = () => {
+			const rules = [];
+			const addNested = (selector, entry, separator) => {
+				rules.push({ selector, styles: entry?.styles || {} });
+				Object.entries(entry?.children || {}).forEach(([child, childEntry]) => {
+					addNested(`${selector}${separator}${child}`, childEntry, separator);
+				});
+			};
 
-		// Helper function to resolve CSS variables in style values
-		function resolveCssVariables(value) {
-			if (typeof value === "string") {
-				return value.replace(/var\((--[a-zA-Z0-9-]+)\)/g, (_, variable) => {
-					return cssVariables[variable] || `var(${variable})`; // Use variable value or leave unresolved
+			if (cssRules.universal && Object.keys(cssRules.universal).length > 0) {
+				rules.push({ selector: "*", styles: cssRules.universal });
+			}
+			Object.entries(cssRules.elements || {}).forEach(([selector, entry]) => { addNested(selector, entry, " > "); });
+			Object.entries(cssRules.classes || {}).forEach(([selector, entry]) => { addNested(selector, entry, " > "); });
+			Object.entries(cssRules.attributes || {}).forEach(([target, entries]) => {
+				entries.forEach(({ name, operator = "=", value, flag, styles }) => {
+					const condition = value === null || value === undefined ? name : `${name}${operator}"${value}"${flag ? ` ${flag}` : ""}`;
+					rules.push({ selector: `${target}[${condition}]`, styles: styles || {} });
 				});
+			});
+			Object.entries(cssRules.ids || {}).forEach(([selector, entry]) => { addNested(selector, entry, " > "); });
+			Object.entries(cssRules.functions || {})
+				.filter(([pseudoClass]) => { return pseudoClass !== ":root"; })
+				.forEach(([pseudoClass, entries]) => {
+					entries.forEach(({ target, args = [], styles }) => {
+						const argument = args.length > 0 ? `(${args.join(",")})` : "";
+						rules.push({ selector: `${target || ""}${pseudoClass}${argument}`, styles: styles || {} });
+					});
+				});
+
+			return rules;
+		};
+
+		// Splits a selector list on its top-level commas, e.g. "h1, p:not(.a, .b)" into two selectors
+		const splitSelectorList = (selectorList) => {
+			return `${selectorList}`.split(/,(?![^()[\]]*[)\]])/).map(single => { return single.trim(); });
+		};
+
+		// Reads an `an+b` formula (e.g. "odd", "2n+1", "-n+3", "4"); returns `{ a, b }` or null
+		const parseNth = (argument) => {
+			const formula = `${argument ?? ""}`.replace(/\s+/g, "").toLowerCase();
+
+			if (formula === "odd" || formula === "even") {
+				return { a: 2, b: formula === "odd" ? 1 : 0 };
 			}
 
-			return value;
-		}
+			const match = formula.match(/^(?:([+-]?\d*)n)?([+-]?\d+)?$/);
+			if (!formula || !match) {
+				return null;
+			}
+			const [, coefficient, offset] = match;
+			const a = coefficient === undefined ? 0 : Number(coefficient === "" || coefficient === "+" ? 1 : coefficient === "-" ? -1 : coefficient);
 
-		// Merges new styles into existing styles while respecting inline styles and "!important" rules
-		function mergeStyles(existingStyles, newStyles, inlineStyles = {}) {
-			for (const [key, value] of Object.entries(newStyles)) {
-				const resolvedValue = resolveCssVariables(value);
+			return { a, b: Number(offset || 0) };
+		};
 
-				// Overwrite inline styles only if the rule is marked as "!important"
-				if (resolvedValue.includes("!important")) {
-					inlineStyles[key] = resolvedValue;
-				} else if (!(key in inlineStyles)) {
-					existingStyles[key] = resolvedValue;
-				}
+		// Pseudo-classes without an argument, and those that take an `an+b` formula
+		const simplePseudos = ["first-child", "last-child", "only-child", "first-of-type", "last-of-type", "only-of-type", "empty"];
+		const nthPseudos = ["nth-child", "nth-last-child", "nth-of-type", "nth-last-of-type"];
+
+		// Checks a pseudo-class and parses its argument; returns false if it is not supported
+		const preparePseudo = (pseudo) => {
+			if (simplePseudos.includes(pseudo.name)) {
+				return pseudo.argument === null;
 			}
+			if (nthPseudos.includes(pseudo.name)) {
+				pseudo.nth = parseNth(pseudo.argument);
 
-			return existingStyles;
-		}
+				return pseudo.nth !== null;
+			}
+			if (pseudo.name === "not" && pseudo.argument) {
+				pseudo.selectors = splitSelectorList(pseudo.argument).map(single => { return parseSelector(single); });
 
-		// Retrieves styles for `:nth-child` pseudo-class if applicable
-		function getNthChildStyles(node) {
-			const nthChildRules = cssRules.functions && cssRules.functions[":nth-child"];
-			if (!nthChildRules || !node.childIndex) {
-				return {};
+				return pseudo.selectors.every(Boolean);
 			}
 
-			const styles = {};
-			nthChildRules.forEach(rule => {
-				const target = rule.target;
-				const args = rule.args;
-				const ruleStyles = rule.styles || {};
+			return false;
+		};
+
+		// Splits a selector into compound selectors and the combinators between them; returns null if unsupported
+		const parseSelector = (selector) => {
+			const parts = [];
+			let compound = null;
+			let combinator = null;
+			let index = 0;
 
-				// Skip if the rule target does not match the element
-				if (target && target !== node.element) {
-					return;
+			const current = () => {
+				if (!compound) {
+					compound = { tag: null, ids: [], classes: [], attributes: [], pseudos: [] };
 				}
 
-				const childIndex = node.childIndex;
-				// Apply styles based on `even`, `odd`, or specific child index
-				if (args[0] === "even" && childIndex % 2 === 0) {
-					Object.assign(styles, ruleStyles);
-				} else if (args[0] === "odd" && childIndex % 2 !== 0) {
-					Object.assign(styles, ruleStyles);
-				} else if (!isNaN(Number(args[0])) && childIndex === Number(args[0])) {
-					Object.assign(styles, ruleStyles);
+				return compound;
+			};
+
+			const finishCompound = () => {
+				if (compound) {
+					parts.push({ combinator: parts.length > 0 ? combinator || " " : null, compound });
+					compound = null;
+					combinator = null;
+				}
+			};
+
+			// Reads up to the bracket or parenthesis that closes the one at `start`, skipping quoted text
+			const readGroup = (start, open, close) => {
+				let depth = 0;
+				let quote = null;
+
+				for (let position = start; position < selector.length; position++) {
+					const char = selector[position];
+					if (quote) {
+						quote = char === quote ? null : quote;
+					} else if (char === "\"" || char === "'") {
+						quote = char;
+					} else if (char === open) {
+						depth++;
+					} else if (char === close && --depth === 0) {
+						return position;
+					}
 				}
-			});
 
-			return styles;
-		}
+				return -1;
+			};
+
+			while (index < selector.length) {
+				const char = selector[index];
+				const rest = selector.slice(index);
 
-		// Computes styles for a given element based on its properties and hierarchy
-		function getStylesForElement(element, props, node, parent) {
-			let styles = {};
+				if (/\s/.test(char)) {
+					finishCompound();
+					index++;
+				} else if (char === ">" || char === "+" || char === "~") {
+					if (!compound && parts.length === 0) {
+						return null;
+					}
+					finishCompound();
+					combinator = char;
+					index++;
+				} else if (char === "*") {
+					current().tag = "*";
+					index++;
+				} else if (char === "." || char === "#") {
+					const name = rest.match(/^[.#]([\w-]+)/);
+					if (!name) {
+						return null;
+					}
+					current()[char === "." ? "classes" : "ids"].push(name[1]);
+					index += name[0].length;
+				} else if (char === "[") {
+					const end = readGroup(index, "[", "]");
+					const attribute = end === -1 ? null : selector.slice(index + 1, end)
+						.match(/^\s*([\w-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?\s*([is])?\s*$/i);
+					if (!attribute) {
+						return null;
+					}
+					const [, name, operator = null, doubleQuoted, singleQuoted, unquoted, flag = null] = attribute;
+					current().attributes.push({ name: name.toLowerCase(), operator, value: doubleQuoted ?? singleQuoted ?? unquoted ?? null, flag });
+					index = end + 1;
+				} else if (char === ":") {
+					const name = rest.match(/^:([\w-]+)/);
+					if (!name) {
+						return null;
+					}
+					let argument = null;
+					index += name[0].length;
 
-			// Apply universal styles
-			if (cssRules.universal) {
-				styles = mergeStyles(styles, cssRules.universal, props.inlineStyle);
+					if (selector[index] === "(") {
+						const end = readGroup(index, "(", ")");
+						if (end === -1) {
+							return null;
+						}
+						argument = selector.slice(index + 1, end).trim();
+						index = end + 1;
+					}
+					const pseudo = { name: name[1].toLowerCase(), argument };
+					if (!preparePseudo(pseudo)) {
+						return null;
+					}
+					current().pseudos.push(pseudo);
+				} else {
+					const name = rest.match(/^[a-zA-Z][\w-]*/);
+					if (!name || (compound && compound.tag)) {
+						return null;
+					}
+					current().tag = name[0].toLowerCase();
+					index += name[0].length;
+				}
 			}
 
-			// Apply element-specific styles
-			if (cssRules.elements && cssRules.elements[element]) {
-				styles = mergeStyles(styles, cssRules.elements[element].styles || {}, props.inlineStyle);
+			finishCompound();
+
+			return parts.length > 0 && !combinator ? parts : null;
+		};
+
+		const attributeValue = (node, name) => {
+			const props = node.props || {};
+
+			if (name === "class") {
+				return props.class?.length ? props.class.join(" ") : undefined;
+			}
+			if (name === "id") {
+				return props.id ?? undefined;
 			}
 
-			// Apply child-specific styles from the parent
-			if (parent && cssRules.elements && cssRules.elements[parent.element] && cssRules.elements[parent.element].children) {
-				const parentChildRules = cssRules.elements[parent.element].children[element];
-				if (parentChildRules) {
-					styles = mergeStyles(styles, parentChildRules.styles || {}, props.inlineStyle);
-				}
+			return ["style", "inlineStyle"].includes(name) ? undefined : props[name];
+		};
+
+		const matchesAttribute = (node, { name, operator, value, flag }) => {
+			const actual = attributeValue(node, name);
+
+			if (actual === undefined || actual === null) {
+				return false;
+			}
+			if (operator === null) {
+				return true;
 			}
 
-			// Apply class-based styles
-			const classList = props.class || [];
-			for (const cls of classList) {
-				const clsKey = `.${cls}`;
-				if (cssRules.classes && cssRules.classes[clsKey]) {
-					styles = mergeStyles(styles, cssRules.classes[clsKey].styles || {}, props.inlineStyle);
-				}
+			// The `i` flag compares case-insensitively; `s` or no flag compares exactly
+			const isCaseInsensitive = `${flag || ""}`.toLowerCase() === "i";
+			const text = isCaseInsensitive ? `${actual}`.toLowerCase() : `${actual}`;
+			const expected = isCaseInsensitive ? `${value}`.toLowerCase() : `${value}`;
+
+			// An empty value never matches a substring operator, as in browsers
+			switch (operator) {
+			case "=":
+				return text === expected;
+			case "~=":
+				return /^[^ \t\n\r\f]+$/.test(expected) && text.split(/[ \t\n\r\f]+/).includes(expected);
+			case "|=":
+				return text === expected || text.startsWith(`${expected}-`);
+			case "^=":
+				return expected !== "" && text.startsWith(expected);
+			case "$=":
+				return expected !== "" && text.endsWith(expected);
+			case "*=":
+				return expected !== "" && text.includes(expected);
+			default:
+				return false;
+			}
+		};
+
+		// Whether `position` (1-based) is `a * n + b` for some n >= 0
+		const matchesNth = ({ a, b }, position) => {
+			if (a === 0) {
+				return position === b;
+			}
+
+			return (position - b) / a >= 0 && (position - b) % a === 0;
+		};
+
+		// Structural pseudo-classes count element siblings only; text between elements does not take a position
+		const matchesPseudo = (context, pseudo) => {
+			const { elementSiblings, elementIndex, node } = context;
+			const sameType = elementSiblings.filter(sibling => { return sibling.element === node.element; });
+			const typeIndex = sameType.indexOf(node);
+
+			switch (pseudo.name) {
+			case "first-child":
+				return elementIndex === 0;
+			case "last-child":
+				return elementIndex === elementSiblings.length - 1;
+			case "only-child":
+				return elementSiblings.length === 1;
+			case "first-of-type":
+				return typeIndex === 0;
+			case "last-of-type":
+				return typeIndex === sameType.length - 1;
+			case "only-of-type":
+				return sameType.length === 1;
+			case "nth-child":
+				return matchesNth(pseudo.nth, elementIndex + 1);
+			case "nth-last-child":
+				return matchesNth(pseudo.nth, elementSiblings.length - elementIndex);
+			case "nth-of-type":
+				return matchesNth(pseudo.nth, typeIndex + 1);
+			case "nth-last-of-type":
+				return matchesNth(pseudo.nth, sameType.length - typeIndex);
+			case "empty":
+
+				// Selectors Level 3, as browsers apply it: whitespace is content, so `<td> </td>` is not empty
+				return (node.children || []).every(child => {
+					return child?.element === "text" && (child.children?.[0]?.innerText ?? "") === "";
+				});
+			case "not":
+				return !pseudo.selectors.some(parts => { return matchesParts(context, parts, parts.length - 1); });
+			default:
+				return false;
+			}
+		};
+
+		const matchesCompound = (context, compound) => {
+			const { node } = context;
+			const props = node.props || {};
+
+			return (!compound.tag || compound.tag === "*" || compound.tag === node.element)
+				&& compound.ids.every(id => { return props.id === id; })
+				&& compound.classes.every(cls => { return (props.class || []).includes(cls); })
+				&& compound.attributes.every(attribute => { return matchesAttribute(node, attribute); })
+				&& compound.pseudos.every(pseudo => { return matchesPseudo(context, pseudo); });
+		};
+
+		// Matches right to left: the last compound against the node, then each combinator outward
+		const matchesParts = (context, parts, partIndex) => {
+			if (!context || !matchesCompound(context, parts[partIndex].compound)) {
+				return false;
+			}
+			if (partIndex === 0) {
+				return true;
 			}
 
-			// Apply attribute-based styles
-			if (cssRules.attributes && cssRules.attributes[element]) {
-				for (const attrRule of cssRules.attributes[element]) {
-					if (props[attrRule.name] === attrRule.value) {
-						styles = mergeStyles(styles, attrRule.styles || {}, props.inlineStyle);
+			const siblingContext = (elementIndex) => {
+				return { ...context, node: context.elementSiblings[elementIndex], elementIndex };
+			};
+
+			switch (parts[partIndex].combinator) {
+			case ">":
+				return matchesParts(context.parent, parts, partIndex - 1);
+			case "+":
+				return context.elementIndex > 0 && matchesParts(siblingContext(context.elementIndex - 1), parts, partIndex - 1);
+			case "~":
+				for (let elementIndex = context.elementIndex - 1; elementIndex >= 0; elementIndex--) {
+					if (matchesParts(siblingContext(elementIndex), parts, partIndex - 1)) {
+						return true;
 					}
 				}
-			}
 
-			// Apply ID-based styles
-			if (props.id) {
-				const idKey = `#${props.id}`;
-				if (cssRules.ids && cssRules.ids[idKey]) {
-					styles = mergeStyles(styles, cssRules.ids[idKey].styles || {}, props.inlineStyle);
+				return false;
+			default:
+				for (let ancestor = context.parent; ancestor; ancestor = ancestor.parent) {
+					if (matchesParts(ancestor, parts, partIndex - 1)) {
+						return true;
+					}
 				}
+
+				return false;
+			}
+		};
+
+		// Counts IDs, then classes, attributes, and pseudo-classes, then element names
+		const specificityOf = (parts) => {
+			const add = (first, second) => { return first.map((value, index) => { return value + second[index]; }); };
+			const highest = (list) => {
+				return list.reduce((best, candidate) => {
+					const difference = candidate.findIndex((value, index) => { return value !== best[index]; });
+
+					return difference !== -1 && candidate[difference] > best[difference] ? candidate : best;
+				}, [0, 0, 0]);
+			};
+
+			return parts.reduce((total, { compound }) => {
+				const pseudos = compound.pseudos.reduce((sum, pseudo) => {
+
+					// :not() counts as its most specific argument rather than as a pseudo-class
+					return add(sum, pseudo.name === "not" ? highest(pseudo.selectors.map(specificityOf)) : [0, 1, 0]);
+				}, [0, 0, 0]);
+
+				return add(add(total, pseudos), [
+					compound.ids.length,
+					compound.classes.length + compound.attributes.length,
+					compound.tag && compound.tag !== "*" ? 1 : 0,
+				]);
+			}, [0, 0, 0]);
+		};
+
+		// Parse every selector once; a rule may list several, separated by commas
+		const orderedRules = [...legacyRules(), ...(cssRules.rules || [])]
+			.flatMap(({ selector, styles }) => {
+				return splitSelectorList(selector).map(single => {
+					return { selector: single, parts: parseSelector(single), styles: styles || {} };
+				});
+			})
+			.map((rule, order) => {
+				return { ...rule, order, specificity: rule.parts ? specificityOf(rule.parts) : [0, 0, 0] };
+			});
+
+		// Extract CSS variables defined in the `:root` section
+		const cssVariables = {};
+		(cssRules.functions?.[":root"] || []).forEach(entry => { Object.assign(cssVariables, entry.styles); });
+		orderedRules
+			.filter(({ selector }) => { return selector === ":root"; })
+			.forEach(({ styles }) => { Object.assign(cssVariables, styles); });
+
+		// `:root` only declares variables here
+		const selectorRules = orderedRules.filter(({ selector, parts }) => {
+			if (selector === ":root") {
+				return false;
 			}
+			if (!parts && this.verbose) {
+				log(`_applyCssToHtmlJson: ${PhraseFactory.get({ code: "0x0A5D3E86", args: { selector } })}`);
+			}
+
+			return Boolean(parts);
+		});
 
-			// Apply nth-child styles
-			const nthChildStyles = getNthChildStyles(node);
-			styles = mergeStyles(styles, nthChildStyles, props.inlineStyle);
+		// Helper function to resolve CSS variables in style values
+		function resolveCssVariables(value) {
+			if (typeof value === "string") {
+				return value.replace(/var\((--[a-zA-Z0-9-]+)\)/g, (_, variable) => {
+					return cssVariables[variable] || `var(${variable})`; // Use variable value or leave unresolved
+				});
+			}
 
-			return styles;
+			return value;
 		}
 
-		// Recursively apply styles to the HTML JSON structure
-		function applyStylesRecursively(node, parent = null) {
-			if (Array.isArray(node)) {
-				// Process each child node in an array
-				node.forEach(child => { return applyStylesRecursively(child, parent); });
-			} else if (typeof node === "object" && node !== null) {
-				const element = node.element;
+		const toDeclaration = (property, value, cascade) => {
+			const resolvedValue = resolveCssVariables(`${value}`);
+			const importantMatch = resolvedValue.match(/\s*!\s*important\s*$/i);
+
+			return {
+				property,
+				value: importantMatch ? resolvedValue.slice(0, importantMatch.index) : resolvedValue,
+				rank: [importantMatch ? 1 : 0, cascade.isInline ? 1 : 0, ...cascade.specificity, cascade.order],
+				isInline: cascade.isInline,
+			};
+		};
+
+		const outranks = (first, second) => {
+			const difference = first.rank.findIndex((value, index) => { return value !== second.rank[index]; });
+
+			return difference !== -1 && first.rank[difference] > second.rank[difference];
+		};
+
+		// Picks the winning declaration for each property of one element
+		const cascade = (context) => {
+			const { props } = context.node;
+			const winners = {};
+
+			const declarations = selectorRules
+				.filter(({ parts }) => { return matchesParts(context, parts, parts.length - 1); })
+				.flatMap(({ styles, specificity, order }) => {
+					return Object.entries(styles).map(([property, value]) => {
+						return toDeclaration(property, value, { isInline: false, specificity, order });
+					});
+				})
+				.concat(Object.entries(props.inlineStyle).map(([property, value]) => {
+					return toDeclaration(property, value, { isInline: true, specificity: [0, 0, 0], order: 0 });
+				}));
+
+			declarations.forEach(declaration => {
+				const current = winners[declaration.property];
+				if (!current || outranks(declaration, current)) {
+					winners[declaration.property] = declaration;
+				}
+			});
+
+			const pick = (isInline) => {
+				return Object.fromEntries(Object.values(winners)
+					.filter(declaration => { return declaration.isInline === isInline; })
+					.map(({ property, value }) => { return [property, value]; }));
+			};
+
+			return { style: pick(false), inlineStyle: pick(true) };
+		};
+
+		// CSS properties whose value passes from parent to child when the child does not set them
+		const inheritedProperties = [
+			"border-collapse", "border-spacing", "caption-side", "color", "cursor", "direction", "empty-cells", 
+			"font", "font-family", "font-size", "font-stretch", "font-style", "font-variant", "font-weight", 
+			"hyphens", "letter-spacing", "line-height", "list-style", "list-style-image", "list-style-position", 
+			"list-style-type", "overflow-wrap", "quotes", "tab-size", "text-align", "text-indent", "text-shadow", 
+			"text-transform", "visibility", "white-space", "word-break", "word-spacing", "word-wrap"
+		];
+
+		// Replaces `inherit` and `unset` with the parent's value; without one the keyword is left for the browser
+		const resolveKeywords = (styles, parentComputed) => {
+			return Object.fromEntries(Object.entries(styles).map(([property, value]) => {
+				const keyword = `${value}`.trim().toLowerCase();
+				const isInheriting = keyword === "inherit" || (keyword === "unset" && inheritedProperties.includes(property));
+
+				if (isInheriting) {
+					return [property, parentComputed[property] ?? "inherit"];
+				}
+
+				return [property, keyword === "unset" ? "initial" : value];
+			}));
+		};
+
+		// Recursively apply styles to the element nodes of a children array
+		function applyStylesRecursively(children, parent = null) {
+			const elementSiblings = (children || []).filter(child => {
+				return typeof child === "object" && child !== null && child.element && !["text", "rawHtml"].includes(child.element);
+			});
+
+			elementSiblings.forEach((node, elementIndex) => {
+				const context = { node, parent, elementSiblings, elementIndex };
 				const props = node.props || {};
+				node.props = props;
 
 				// Initialize inlineStyle if not already defined
 				props.inlineStyle = props.inlineStyle || {};
 
-				// Compute styles for the current element
-				const computedStyles = getStylesForElement(element, props, node, parent);
+				// Computed styles go in `style`; user-defined inline styles that still win stay in `inlineStyle`
+				const parentValues = parent?.inheritedValues || {};
+				const parentRendered = parent?.renderedValues || {};
+				const parentComputed = { ...parentValues, ...parent?.ownValues };
+				const { style, inlineStyle } = cascade(context);
+				props.style = resolveKeywords(style, parentComputed);
+				props.inlineStyle = resolveKeywords(inlineStyle, parentComputed);
+
+				// What this element passes on: its ancestors' inherited values, overridden by its own
+				const ownValues = { ...props.style, ...props.inlineStyle };
+				context.ownValues = ownValues;
+				context.inheritedValues = { ...parentValues };
+				inheritedProperties
+					.filter(property => { return property in ownValues; })
+					.forEach(property => { context.inheritedValues[property] = ownValues[property]; });
+
+				// Text takes its look from the element that holds it, so write there any inherited value the parent's 
+				// written styles do not already pass on; repeating one would bloat the output and compound `em` sizes
+				const holdsText = (node.children || []).some(child => { return ["text", "rawHtml"].includes(child?.element); });
+				if (holdsText) {
+					Object.entries(parentValues)
+						.filter(([property, value]) => { return !(property in ownValues) && parentRendered[property] !== value; })
+						.forEach(([property, value]) => { props.style[property] = value; });
+				}
 
-				// Assign computed styles and preserve existing inline styles
-				const existingInlineStyle = props.inlineStyle;
-				props.style = { ...computedStyles }; // Store computed styles here
-				props.inlineStyle = { ...existingInlineStyle }; // Retain user-defined inline styles
+				// What a browser will inherit from this element given the styles actually written on it
+				context.renderedValues = { ...parentRendered };
+				Object.entries({ ...props.style, ...props.inlineStyle })
+					.filter(([property, value]) => { return inheritedProperties.includes(property) && `${value}`.trim().toLowerCase() !== "inherit"; })
+					.forEach(([property, value]) => { context.renderedValues[property] = value; });
 
-				// Recursively process children
-				const children = node.children || [];
-				applyStylesRecursively(children, node);
-			}
+				applyStylesRecursively(node.children, context);
+			});
 		}
 
 		// Apply styles recursively to the HTML structure
-		applyStylesRecursively(htmlStructure);
+		applyStylesRecursively(Array.isArray(htmlStructure) ? htmlStructure : [htmlStructure]);
 
 		try {
 
@@ -273,24 +689,30 @@ const EASY_LIB_UTILITIES = (() => {
 	/**
 	 * Converts a CSS string into a structured JSON format.
 	 *
-	 * Parses a CSS string, removes comments, and converts selectors and their styles into a 
-	 * JSON representation. Handles universal, element, class, ID, attribute, pseudo-class, 
-	 * and child selectors, organizing them for easy manipulation.
+	 * Parses a CSS string, removes comments, and lists every rule under `rules` as `{ selector, styles }` in 
+	 * stylesheet order, for `_applyCssToHtmlJson` to match. Selector groups (`h1, h2`) are split into one 
+	 * rule per selector. Variables declared on `:root` are also kept under `functions[":root"]`. The other 
+	 * legacy buckets are always present but left empty.
 	 *
 	 * @example
 	 * const css = `
+	 *   :root { --accent: #336699; }
 	 *   * { margin: 0; padding: 0; }
-	 *   .class > .child { color: red; }
+	 *   .card > .title, div.card h3 { color: var(--accent); }
 	 * `;
-	 * const cssJson = _convertCssToJson(css);
+	 * const cssJson = _convertCssToJson({ css });
 	 * console.log(JSON.parse(cssJson));
 	 * 
 	 * Output:
 	 * {
-	 *   "universal": { "margin": "0", "padding": "0" },
-	 *   "classes": { ".class": { "children": { ".child": { "color": "red" } } } },
-	 *   "elements": {},
-	 *   "ids": {}
+	 *   "universal": {}, "elements": {}, "classes": {}, "attributes": {}, "ids": {},
+	 *   "functions": { ":root": [{ "target": null, "args": [], "styles": { "--accent": "#336699" } }] },
+	 *   "rules": [
+	 *     { "selector": ":root", "styles": { "--accent": "#336699" } },
+	 *     { "selector": "*", "styles": { "margin": "0", "padding": "0" } },
+	 *     { "selector": ".card > .title", "styles": { "color": "var(--accent)" } },
+	 *     { "selector": "div.card h3", "styles": { "color": "var(--accent)" } }
+	 *   ]
 	 * }
 	 *
 	 * @param {string} css - The CSS string to convert.
@@ -302,7 +724,7 @@ const EASY_LIB_UTILITIES = (() => {
 			.replace(/\/\*[\s\S]*?\*\//g, "")
 			.replace(/\n/g, " ").trim();
 
-		// Initialize the JSON structure to categorize selectors
+		// Legacy buckets are kept so readers of the older shape still find them
 		const cssRules = {
 			universal: {},
 			elements: {},
@@ -310,11 +732,12 @@ const EASY_LIB_UTILITIES = (() => {
 			attributes: {},
 			functions: {},
 			ids: {},
+			rules: [],
 		};
 
 		// Match expressions for selectors and each of thier properties
-		const ruleRegex = /([^\{]+)\{([^\}]+)\}/g;
-		const propertiesRegex = /([\w-]+)\s*:\s*([^;]+);/g;
+		const ruleRegex = /([^{}]+)\{([^}]*)\}/g;
+		const propertiesRegex = /([\w-]+)\s*:\s*([^;]+)(?:;|$)/g;
 
 		// Parse CSS rules
 		let match;
@@ -331,86 +754,16 @@ const EASY_LIB_UTILITIES = (() => {
 				properties[key] = value;
 			}
 
-			// Split selectors (e.g., `.class, #id`) into individual selectors
-			const selectors = selector.split(",").map(s => { return s.trim(); });
+			// Split selector groups (e.g., `.class, #id`), but not commas inside `:not(a, b)` or `[title="a,b"]`
+			const selectors = selector.split(/,(?![^()[\]]*[)\]])/).map(s => { return s.trim(); }).filter(Boolean);
 			for (const individualSelector of selectors) {
-				// Process universal selector (*)
-				if (individualSelector === "*") {
-					Object.assign(cssRules.universal, properties);
-
-					// Process class selectors (.class)
-				} else if (individualSelector.startsWith(".")) {
-					const className = individualSelector;
-					if (!cssRules.classes[className]) {
-						cssRules.classes[className] = { styles: {}, children: {} };
-					}
-					Object.assign(cssRules.classes[className].styles, properties);
+				cssRules.rules.push({ selector: individualSelector, styles: { ...properties } });
 
-					// Process ID selectors (#id)
-				} else if (individualSelector.startsWith("#")) {
-					const idName = individualSelector;
-					if (!cssRules.ids[idName]) {
-						cssRules.ids[idName] = { styles: {}, children: {} };
+				if (individualSelector === ":root") {
+					if (!cssRules.functions[":root"]) {
+						cssRules.functions[":root"] = [{ target: null, args: [], styles: {} }];
 					}
-					Object.assign(cssRules.ids[idName].styles, properties);
-
-					// Process attribute selectors ([attr=value])
-				} else if (individualSelector.match(/\[.+\]/)) {
-					const attrMatch = individualSelector.match(/^([\w-]+)\[(.+)\]$/);
-					if (attrMatch) {
-						const target = attrMatch[1];
-						const attr = attrMatch[2].split("=");
-						const attrName = attr[0];
-						const attrValue = attr[1]?.replace(/"/g, "") || null;
-						if (!cssRules.attributes[target]) {
-							cssRules.attributes[target] = [];
-						}
-						cssRules.attributes[target].push({
-							name: attrName,
-							value: attrValue,
-							styles: properties,
-						});
-					}
-
-					// Process pseudo-classes and functional selectors (e.g., :nth-child)
-				} else if (individualSelector.includes(":")) {
-					const pseudoMatch = individualSelector.match(/^([\w-]+)?(:[\w-]+)(\((.+)\))?$/);
-					if (pseudoMatch) {
-						const baseSelector = pseudoMatch[1] || null;
-						const pseudoClass = pseudoMatch[2];
-						const args = pseudoMatch[4] ? pseudoMatch[4].split(",") : [];
-
-						if (!cssRules.functions[pseudoClass]) {
-							cssRules.functions[pseudoClass] = [];
-						}
-						cssRules.functions[pseudoClass].push({
-							target: baseSelector,
-							args,
-							styles: properties,
-						});
-					}
-
-					// Process child selectors (.parent > .child)
-				} else if (individualSelector.includes(">")) {
-					const parts = individualSelector.split(">").map(s => { return s.trim(); });
-					let currentParent = cssRules.elements;
-					parts.forEach((part, index) => {
-						if (!currentParent[part]) {
-							currentParent[part] = { styles: {}, children: {} };
-						}
-						if (index === parts.length - 1) {
-							Object.assign(currentParent[part].styles, properties);
-						} else {
-							currentParent = currentParent[part].children;
-						}
-					});
-
-					// Process element selectors (e.g., div, p)
-				} else {
-					if (!cssRules.elements[individualSelector]) {
-						cssRules.elements[individualSelector] = { styles: {}, children: {} };
-					}
-					Object.assign(cssRules.elements[individualSelector].styles, properties);
+					Object.assign(cssRules.functions[":root"][0].styles, properties);
 				}
 			}
 		}
@@ -445,122 +798,339 @@ const EASY_LIB_UTILITIES = (() => {
 	 * such as `style`, `class`, and `id`. The output is a stringified JSON structure useful for applications 
 	 * requiring structured HTML data.
 	 *
+	 * The tokenizer follows the HTML rules that matter for Roll20 markup: void elements (`<br>`, `<img>`, 
+	 * `<hr>`, ...) and self-closing tags never take children; comments and doctypes are skipped; attribute 
+	 * values may be double-quoted, single-quoted (either may contain the other quote or `>`), or unquoted, and 
+	 * attributes without a value are kept with an empty string. Tags whose end tag is optional are closed 
+	 * implicitly, e.g. a new `<li>` closes the open `<li>`, a `<td>` closes the open `<td>`, and a block 
+	 * element closes an open `<p>`. Text inside `<style>` and `<script>` is kept as a single text node. 
+	 *
+	 * Text nodes hold plain text: entities in text and attribute values are decoded (`&lt;` becomes `<`, 
+	 * `&nbsp;` a non-breaking space), and whitespace is kept as written, so `<b>Hi</b> there` keeps its space. 
+	 * `_convertJsonToHtml` escapes the text again and applies CSS `white-space`. Only whitespace outside the 
+	 * top-level elements is dropped.
+	 *
+	 * Problems do not stop parsing: stray closing tags are ignored, unclosed elements are closed at the end, 
+	 * and each problem is logged with its line and column. Pass an `errors` array to also receive them as 
+	 * `{ code, message, tag, line, column }` objects.
+	 *
 	 * @example
 	 * const html = `
 	 * <div class="container" style="color: red;">
-	 *   <p>Hello, <span id="highlight">world</span>!</p>
+	 *   <p>Hello, <span id="highlight">world</span>!<br>
+	 *   <input type=checkbox checked>
 	 * </div>`;
 	 *
 	 * const json = _convertHtmlToJson({ html });
 	 * console.log(JSON.parse(json));
 	 *
+	 * @example
+	 * const errors = [];
+	 * _convertHtmlToJson({ html: "<div><b>bold</div>", errors });
+	 * // errors: [{ code: "0x0E3B7A19", tag: "b", line: 1, column: 6, message: "..." }]
+	 *
 	 * @param {Object} param - The parameter object.
 	 * @param {string} param.html - The HTML string to convert.
+	 * @param {Array<Object>} [param.errors] - Receives the problems found while parsing.
 	 * @returns {string} - A stringified JSON representation of the HTML structure.
 	 */
-	function _convertHtmlToJson({ html }) {
-		// Regex to match both HTML tags and text nodes
-		const regex = /<\/?\w+[^>]*>|[^<>]+/g;
-
-		// Tokenize the HTML into an array of elements, trimming whitespace and filtering out empty strings
-		const elementsArray = html.match(regex).map(item => { return item.trim(); }).filter(Boolean);
-
-		const parseHTMLToJSON = (nodeArray) => {
-			const stack = []; // Stack to track nested elements
-			const root = { children: [] }; // Root node for the resulting JSON structure
-			stack.push(root);
-
-			nodeArray.forEach(element => {
-				const openingTagMatch = element.match(/^<(\w+)([^>]*)>$/); // Match opening tags
-				const closingTagMatch = element.match(/^<\/(\w+)>$/); // Match closing tags
-
-				if (openingTagMatch) {
-					// Handle opening tags
-					const [, tag, attributes] = openingTagMatch;
-
-					// Initialize properties for the tag
-					const props = { style: {}, class: [], id: null, inlineStyle: {} };
-
-					if (attributes) {
-						// Extract attributes using regex
-						const attributeRegex = /([\w-]+)\s*=\s*["']([^"']+)["']/g;
-						let attrMatch;
-						while ((attrMatch = attributeRegex.exec(attributes))) {
-							const [, key, value] = attrMatch;
-
-							if (key === "style") {
-								// Parse inline styles into an object
-								const styleObject = {};
-								value.split(";").forEach(style => {
-									const [styleKey, styleValue] = style.split(":").map(s => { return s.trim(); });
-									if (styleKey && styleValue) {
-										styleObject[styleKey] = styleValue;
-									}
-								});
-								props.inlineStyle = styleObject;
-							} else if (key === "class") {
-								// Parse class attribute into an array
-								props.class = value.split(" ").filter(Boolean);
-							} else if (key === "id") {
-								// Handle id attribute
-								props.id = value;
-							} else {
-								// Handle other attributes
-								props[key] = value;
-							}
+	function _convertHtmlToJson({ html, errors = [] }) {
+		const source = `${html ?? ""}`;
+
+		const voidElements = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"];
+		const rawTextElements = ["script", "style"];
+
+		// Elements whose end tag may be left out; closing them implicitly is not an error
+		const optionalEndElements = ["p", "li", "dt", "dd", "td", "th", "tr", "thead", "tbody", "tfoot", "option"];
+
+		// Block elements that close an open <p>
+		const closesParagraph = [
+			"address", "article", "aside", "blockquote", "div", "dl", "fieldset", "footer", "form", "h1", "h2", "h3", 
+			"h4", "h5", "h6", "header", "hr", "li", "main", "nav", "ol", "p", "pre", "section", "table", "ul"
+		];
+
+		// Opening `tag` closes the nearest open element in `closes`, searching no further than `boundary`
+		const impliedEndRules = {
+			li: { closes: ["li"], boundary: ["ul", "ol"] },
+			dt: { closes: ["dt", "dd"], boundary: ["dl"] },
+			dd: { closes: ["dt", "dd"], boundary: ["dl"] },
+			td: { closes: ["td", "th"], boundary: ["tr", "table"] },
+			th: { closes: ["td", "th"], boundary: ["tr", "table"] },
+			tr: { closes: ["tr"], boundary: ["thead", "tbody", "tfoot", "table"] },
+			thead: { closes: ["thead", "tbody", "tfoot"], boundary: ["table"] },
+			tbody: { closes: ["thead", "tbody", "tfoot"], boundary: ["table"] },
+			tfoot: { closes: ["thead", "tbody", "tfoot"], boundary: ["table"] },
+			option: { closes: ["option"], boundary: ["select", "datalist"] },
+		};
+		const paragraphRule = { closes: ["p"], boundary: ["button", "table", "td", "th", "caption"] };
+
+		// Converts a source offset into a 1-based line and column
+		const positionOf = (index) => {
+			const before = source.slice(0, index);
+			const lastBreak = before.lastIndexOf("\n");
+
+			return { line: before.split("\n").length, column: index - lastBreak };
+		};
+
+		const report = ({ code, tag = "", index }) => {
+			const { line, column } = positionOf(index);
+			const message = `${PhraseFactory.get({ code, args: { tag, line, column } })}`;
+
+			errors.push({ code, message, tag, line, column });
+
+			_logSyslogMessage.call(moduleSettings, {
+				severity: 4,
+				code: "50000",
+				message
+			});
+		};
+
+		// Decodes entities; non-breaking and soft hyphens stay as characters instead of becoming spaces or nothing
+		const decodeText = (text) => {
+			return _decodeNoteContent({ text: text.replace(/&nbsp;/g, "&#160;").replace(/&shy;/g, "&#173;") });
+		};
+
+		// Parses the text between a tag name and its closing `>`; returns the attributes and where the tag ends
+		const readAttributes = (index) => {
+			const attributes = [];
+			let position = index;
+
+			while (position < source.length) {
+				while (/\s/.test(source[position] || "")) {
+					position++;
+				}
+
+				if (source[position] === ">") {
+					return { attributes, end: position + 1, isSelfClosing: false };
+				}
+				if (source.startsWith("/>", position)) {
+					return { attributes, end: position + 2, isSelfClosing: true };
+				}
+				if (source[position] === "/") {
+					position++;
+					continue;
+				}
+
+				const nameMatch = source.slice(position).match(/^[^\s/>=]+|^=/);
+				if (!nameMatch) {
+					break;
+				}
+				const name = nameMatch[0].toLowerCase();
+				position += nameMatch[0].length;
+
+				let value = "";
+				const equalsMatch = source.slice(position).match(/^\s*=\s*/);
+
+				if (equalsMatch) {
+					position += equalsMatch[0].length;
+					const quote = source[position];
+
+					if (quote === "\"" || quote === "'") {
+						const closingQuote = source.indexOf(quote, position + 1);
+
+						if (closingQuote === -1) {
+							report({ code: "0x07A4C6E1", tag: name, index: position });
+							value = source.slice(position + 1);
+							position = source.length;
+						} else {
+							value = source.slice(position + 1, closingQuote);
+							position = closingQuote + 1;
 						}
+					} else {
+						const unquoted = source.slice(position).match(/^[^\s>]*/)[0];
+						value = unquoted;
+						position += unquoted.length;
 					}
+				}
 
-					// Create a new node for the opening tag
-					const node = { element: tag, props, children: [], childIndex: 0 };
-					const parent = stack[stack.length - 1]; // Get the current parent node
+				// The first occurrence of a repeated attribute wins, as in browsers
+				if (!attributes.some(attribute => { return attribute.name === name; })) {
+					attributes.push({ name, value: decodeText(value) });
+				}
+			}
 
-					if (parent) {
-						// Update child index and add the new node to the parent's children
-						node.childIndex = parent.children.length + 1;
-						parent.children.push(node);
-					}
+			return { attributes, end: source.length, isSelfClosing: false, isUnterminated: true };
+		};
 
-					stack.push(node); // Push the new node onto the stack
-				} else if (closingTagMatch) {
-					// Handle closing tags by popping the stack
-					stack.pop();
-				} else {
-					// Handle text nodes
-					const textNode = {
-						element: "text", // Text nodes use a generic "text" element
-						children: [{ innerText: element.trim() }], // Store the text content
-						childIndex: 0
-					};
+		const buildProps = (attributes) => {
+			const props = { style: {}, class: [], id: null, inlineStyle: {} };
 
-					const parent = stack[stack.length - 1]; // Get the current parent node
+			attributes.forEach(({ name, value }) => {
+				if (name === "style") {
 
-					if (parent) {
-						// Update child index and add the text node to the parent's children
-						textNode.childIndex = parent.children.length + 1;
-						parent.children.push(textNode);
-					}
+					// Parse inline styles into an object
+					const styleObject = {};
+					value.split(";").forEach(style => {
+						const separator = style.indexOf(":");
+						const styleKey = style.slice(0, separator).trim();
+						const styleValue = style.slice(separator + 1).trim();
+						if (separator > 0 && styleKey && styleValue) {
+							styleObject[styleKey] = styleValue;
+						}
+					});
+					props.inlineStyle = styleObject;
+				} else if (name === "class") {
+					props.class = value.split(/\s+/).filter(Boolean);
+				} else if (name === "id") {
+					props.id = value;
+				} else {
+					props[name] = value;
 				}
 			});
 
-			// If the stack isn't back to the root, there are unclosed tags
-			if (stack.length !== 1) {
+			return props;
+		};
 
-				_logSyslogMessage.call(moduleSettings, {
-					severity: 3,
-					code: "50000",
-					message: `${PhraseFactory.get({ code: "0x0CBDE1DE" })}`
-				});
+		const root = { element: "#root", children: [] };
+		const stack = [root];
+		const currentNode = () => { return stack[stack.length - 1]; };
+
+		const appendChild = (node) => {
+			const parent = currentNode();
+			node.childIndex = parent.children.length + 1;
+			parent.children.push(node);
+		};
+
+		const appendText = (text) => {
+			const isInsignificant = currentNode() === root && !/[^ \t\n\r\f]/.test(text);
+			if (text && !isInsignificant) {
+				appendChild({ element: "text", children: [{ innerText: decodeText(text) }], childIndex: 0 });
 			}
+		};
 
-			
-			return root.children; // Return the parsed structure
+		// Pops open elements down to and including `depth`; those above it needed an end tag unless it is optional
+		const closeTo = (depth, { isTargetUnclosed = false } = {}) => {
+			while (stack.length - 1 >= depth) {
+				const node = stack.pop();
+				const isUnclosed = stack.length > depth || isTargetUnclosed;
+
+				if (isUnclosed && !optionalEndElements.includes(node.element)) {
+					report({ code: "0x0E3B7A19", tag: node.element, index: node.openedAt });
+				}
+			}
+		};
+
+		const applyImpliedEnd = (rule) => {
+			for (let depth = stack.length - 1; depth > 0; depth--) {
+				const element = stack[depth].element;
+
+				if (rule.closes.includes(element)) {
+					closeTo(depth);
+
+					return;
+				}
+				if (rule.boundary.includes(element)) {
+					return;
+				}
+			}
 		};
 
+		let index = 0;
+		let textStart = 0;
+
+		while (index < source.length) {
+			const tagStart = source.indexOf("<", index);
+			if (tagStart === -1) {
+				break;
+			}
+
+			const next = source[tagStart + 1] || "";
+			index = tagStart + 1;
+
+			// Comments, doctypes, and other `<!` markup are skipped
+			if (next === "!") {
+				appendText(source.slice(textStart, tagStart));
+				const isComment = source.startsWith("<!--", tagStart);
+				const closing = isComment ? source.indexOf("-->", tagStart + 4) : source.indexOf(">", tagStart);
+
+				if (closing === -1) {
+					report({ code: "0x0B5E2D47", index: tagStart });
+					index = source.length;
+				} else {
+					index = closing + (isComment ? 3 : 1);
+				}
+				textStart = index;
+				continue;
+			}
+
+			// Closing tag
+			if (next === "/") {
+				const closeMatch = source.slice(tagStart).match(/^<\/([a-zA-Z][^\s/>]*)[^>]*>/);
+				if (!closeMatch) {
+					continue;
+				}
+				appendText(source.slice(textStart, tagStart));
+				const tag = closeMatch[1].toLowerCase();
+				const depth = stack.map(node => { return node.element; }).lastIndexOf(tag);
+
+				if (depth > 0) {
+					closeTo(depth);
+				} else {
+					report({ code: "0x04C9F1B3", tag, index: tagStart });
+				}
+				index = tagStart + closeMatch[0].length;
+				textStart = index;
+				continue;
+			}
+
+			// Anything else that is not a tag name is literal text, e.g. "a < b"
+			const nameMatch = source.slice(tagStart + 1).match(/^[a-zA-Z][^\s/>]*/);
+			if (!nameMatch) {
+				continue;
+			}
+
+			appendText(source.slice(textStart, tagStart));
+			const tag = nameMatch[0].toLowerCase();
+			const { attributes, end, isSelfClosing, isUnterminated } = readAttributes(tagStart + 1 + nameMatch[0].length);
+
+			if (isUnterminated) {
+				report({ code: "0x09D2A8F5", tag, index: tagStart });
+			}
+
+			if (impliedEndRules[tag]) {
+				applyImpliedEnd(impliedEndRules[tag]);
+			}
+			if (closesParagraph.includes(tag)) {
+				applyImpliedEnd(paragraphRule);
+			}
+
+			const node = { element: tag, props: buildProps(attributes), children: [], childIndex: 0 };
+			appendChild(node);
+			index = end;
+			textStart = index;
+
+			if (voidElements.includes(tag) || isSelfClosing) {
+				continue;
+			}
+
+			// Raw text runs to the matching end tag without being parsed
+			if (rawTextElements.includes(tag)) {
+				const closing = source.slice(index).search(new RegExp(`</${tag}\\s*>`, "i"));
+				const rawEnd = closing === -1 ? source.length : index + closing;
+
+				if (closing === -1) {
+					report({ code: "0x0E3B7A19", tag, index: tagStart });
+				}
+				if (rawEnd > index) {
+					node.children.push({ element: "text", children: [{ innerText: source.slice(index, rawEnd) }], childIndex: 1 });
+				}
+				index = closing === -1 ? source.length : source.indexOf(">", rawEnd) + 1;
+				textStart = index;
+				continue;
+			}
+
+			// Kept only while parsing, to report unclosed elements where they were opened
+			Object.defineProperty(node, "openedAt", { value: tagStart, enumerable: false });
+			stack.push(node);
+		}
+
+		appendText(source.slice(textStart));
+		closeTo(1, { isTargetUnclosed: true });
+
 		try {
 
-			// Parse the tokenized elements and return the JSON stringified representation
-			const output = JSON.stringify(parseHTMLToJSON(elementsArray), null, 2);
+			// Return the JSON stringified representation of the parsed tree
+			const output = JSON.stringify(root.children, null, 2);
 
 			if (this.verbose) {
 				log(`_convertHtmlToJson: ${output}`);
@@ -587,17 +1157,33 @@ const EASY_LIB_UTILITIES = (() => {
 	 * IDs, and styles are converted into their respective HTML formats. Nested elements are 
 	 * handled hierarchically.
 	 *
+	 * Text nodes hold plain text and are escaped (`<` becomes `&lt;`, a non-breaking space `&nbsp;`), so a 
+	 * player name can never break the markup; attribute values are escaped the same way, quotes included. 
+	 * Markup that is already HTML goes in a `rawHtml` node, `{ "element": "rawHtml", "children": [{ "innerHtml": 
+	 * "<b>ok</b>" }] }`, which is written as is. Text inside `<style>` and `<script>` is never escaped.
+	 *
+	 * Whitespace in text follows CSS `white-space`, inherited from the nearest element that sets it (`<pre>` 
+	 * and `<textarea>` default to `pre`): `normal` and `nowrap` collapse runs of spaces and line breaks to one 
+	 * space, `pre-line` collapses spaces but keeps line breaks, and `pre`, `pre-wrap`, and `break-spaces` 
+	 * keep everything.
+	 *
+	 * Chat messages have a length limit, so `compact` output leaves out empty attributes and the spaces in 
+	 * style declarations, shortens colors (`#ffffff` and `rgb(255, 255, 255)` become `#fff`) and numbers 
+	 * (`0px` becomes `0`, `0.5em` becomes `.5em`), and drops the whitespace between table rows and list 
+	 * items. Quoted strings, `url()`, and math functions such as `calc()` are left as written. Pass a `stats` 
+	 * object to receive the output size as `bytes` (UTF-8); in verbose mode the size is also logged.
+	 *
 	 * @example
 	 * const json = `
 	 * [
 	 *   {
 	 *     "element": "div",
-	 *     "props": { "styles": { "color": "red" }, "class": ["container"] },
+	 *     "props": { "style": { "color": "#ff0000", "margin": "0px" }, "class": ["container"] },
 	 *     "children": [
 	 *       {
 	 *         "element": "p",
 	 *         "props": {},
-	 *         "children": [ { "innerText": "Hello, World!" } ]
+	 *         "children": [ { "element": "text", "children": [ { "innerText": "Hello, World!" } ] } ]
 	 *       }
 	 *     ]
 	 *   }
@@ -605,30 +1191,183 @@ const EASY_LIB_UTILITIES = (() => {
 	 *
 	 * const html = _convertJsonToHtml({ htmlJson: json });
 	 * console.log(html);
-	 * // Output: <div class="container" style="color: red;"><p>Hello, World!</p></div>
+	 * // Output: <div style="color: #ff0000; margin: 0px;" class="container"><p >Hello, World!</p></div>
+	 *
+	 * const stats = {};
+	 * const compactHtml = _convertJsonToHtml({ htmlJson: json, compact: true, stats });
+	 * // Output: <div style="color:#f00;margin:0" class="container"><p>Hello, World!</p></div>, stats.bytes: 74
 	 *
 	 * @param {Object} param - The parameter object.
 	 * @param {string} param.htmlJson - The JSON string representing the HTML structure.
+	 * @param {boolean} [param.compact=false] - Produce the shortest equivalent HTML.
+	 * @param {Object} [param.stats] - Receives `bytes`, the UTF-8 size of the output.
 	 * @returns {string} - The reconstructed HTML string.
 	 */
-	function _convertJsonToHtml({ htmlJson }) {
-		// Helper function to convert a style object into a CSS inline string
-		function styleToString(styleObj) {
-			return Object.entries(styleObj)
-				.map(([key, value]) => {
-					// Convert camelCase properties to kebab-case and format as key: value;
-					return `${key.replace(/([A-Z])/g, "-$1").toLowerCase()}: ${value};`;
-				})
+	function _convertJsonToHtml({ htmlJson, compact = false, stats = {} }) {
+		const voidElements = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"];
+		const rawTextElements = ["script", "style"];
+
+		// Whitespace directly inside these is never rendered
+		const structuralElements = ["table", "thead", "tbody", "tfoot", "tr", "colgroup", "ul", "ol", "dl"];
+
+		// Maps a `white-space` value to how text is written: "collapse", "pre-line", or "preserve"
+		const whiteSpaceModeOf = (value, { inherited, fallback }) => {
+			switch (`${value ?? ""}`.trim().toLowerCase()) {
+			case "normal":
+			case "nowrap":
+			case "initial":
+				return "collapse";
+			case "pre-line":
+				return "pre-line";
+			case "pre":
+			case "pre-wrap":
+			case "break-spaces":
+				return "preserve";
+			case "inherit":
+			case "unset":
+				return inherited;
+			default:
+				return fallback;
+			}
+		};
+
+		// Only ASCII whitespace collapses; non-breaking spaces are content
+		const applyWhiteSpace = (text, mode) => {
+			switch (mode) {
+			case "collapse":
+				return text.replace(/[ \t\n\r\f]+/g, " ");
+			case "pre-line":
+				return text.replace(/[ \t\r\f]*\n[ \t\r\f]*/g, "\n").replace(/[ \t\r\f]+/g, " ");
+			default:
+				return text;
+			}
+		};
+
+		const toKebabCase = (key) => {
+			return key.replace(/([A-Z])/g, "-$1").toLowerCase();
+		};
+
+		// Splits a CSS value into alternating plain and verbatim parts. Quoted strings and `url()` are text, and the 
+		// spaces and units inside `calc()` and the other math functions matter (`calc(0px + 1em)` needs its `px`)
+		const splitVerbatim = (text) => {
+			const parts = [""];
+			let index = 0;
+
+			// Returns the index just past a quoted string starting at `start`, or the end of an unclosed one
+			const skipString = (start) => {
+				let end = start + 1;
+				while (end < text.length && text[end] !== text[start]) {
+					end += text[end] === "\\" ? 2 : 1;
+				}
+
+				return Math.min(end + 1, text.length);
+			};
+
+			while (index < text.length) {
+				const char = text[index];
+				const isFunction = /^(?:url|calc|min|max|clamp)\(/i.test(text.slice(index)) && !/[\w-]/.test(text[index - 1] || "");
+				let end = index + 1;
+
+				if (char === "\"" || char === "'") {
+					end = skipString(index);
+				} else if (isFunction) {
+					let depth = 0;
+					end = text.indexOf("(", index);
+					do {
+						if (text[end] === "\"" || text[end] === "'") {
+							end = skipString(end);
+							continue;
+						}
+						depth += text[end] === "(" ? 1 : text[end] === ")" ? -1 : 0;
+						end++;
+					} while (depth > 0 && end < text.length);
+				} else {
+					parts[parts.length - 1] += char;
+					index = end;
+					continue;
+				}
+
+				parts.push(text.slice(index, end), "");
+				index = end;
+			}
+
+			return parts;
+		};
+
+		// Shortens one CSS value, leaving quoted strings, url(), and math functions untouched
+		const compactValue = (value) => {
+			return splitVerbatim(`${value}`.trim()).map((part, index) => {
+				if (index % 2 === 1) {
+					return part;
+				}
+
+				return part
+					.replace(/\s+/g, " ")
+					.replace(/\s*,\s*/g, ",")
+					.replace(/rgb\(\s*(\d{1,3}),(\d{1,3}),(\d{1,3})\s*\)/gi, (match, ...channels) => {
+						const values = channels.slice(0, 3).map(Number);
+
+						return values.every(channel => { return channel <= 255; })
+							? `#${values.map(channel => { return channel.toString(16).padStart(2, "0"); }).join("")}`
+							: match;
+					})
+					.replace(/#([0-9a-f]{6}|[0-9a-f]{8})\b/gi, (match, hex) => {
+						const pairs = hex.toLowerCase().match(/../g);
+
+						return pairs.every(pair => { return pair[0] === pair[1]; })
+							? `#${pairs.map(pair => { return pair[0]; }).join("")}`
+							: match.toLowerCase();
+					})
+					.replace(/(^|[^\d.\w-])0(?:px|em|rem|ex|ch|pt|pc|in|cm|mm|vw|vh|vmin|vmax)\b/gi, "$10")
+					.replace(/(^|[^\d.\w])0\.(\d)/g, "$1.$2");
+			}).join("");
+		};
+
+		// Helper function to convert a style object into a CSS inline string
+		function styleToString(styleObj) {
+			if (compact) {
+				return Object.entries(styleObj)
+					.map(([key, value]) => { return `${toKebabCase(key)}:${compactValue(value)}`; })
+					.join(";");
+			}
+
+			return Object.entries(styleObj)
+				.map(([key, value]) => {
+					// Convert camelCase properties to kebab-case and format as key: value;
+					return `${toKebabCase(key)}: ${value};`;
+				})
 				.join(" ");
 		}
 
+		// Counts UTF-8 bytes without relying on Buffer or TextEncoder
+		const byteLength = (text) => {
+			return [...text].reduce((total, char) => {
+				const codePoint = char.codePointAt(0);
+
+				return total + (codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4);
+			}, 0);
+		};
+
 		// Recursive function to process each node in the JSON structure
-		function processNode(node) {
+		function processNode(node, whiteSpace = "collapse", parentElement = null) {
 			if (!node.element) return ""; // Return an empty string if the node has no element
 
+			if (node.element === "rawHtml") {
+				return node.children?.[0]?.innerHtml ?? "";
+			}
+
 			if (node.element === "text") {
 				// Handle text nodes
-				return node.children && node.children[0]?.innerText ? node.children[0].innerText : "";
+				const text = node.children && node.children[0]?.innerText ? `${node.children[0].innerText}` : "";
+
+				if (rawTextElements.includes(parentElement)) {
+					return text;
+				}
+				if (compact && structuralElements.includes(parentElement) && !/[^ \t\n\r\f]/.test(text)) {
+					return "";
+				}
+
+				return _escapeHtml({ text: applyWhiteSpace(text, whiteSpace), escapeQuotes: false });
 			}
 
 			// Combine style and inlineStyle properties, with inlineStyle taking precedence
@@ -637,22 +1376,40 @@ const EASY_LIB_UTILITIES = (() => {
 
 			// Build an array of attributes for the HTML tag
 			const attributes = [];
-			if (styleString) attributes.push(`style="${styleString}"`);
-			if (node.props?.class?.length) attributes.push(`class="${node.props.class.join(" ")}"`);
-			if (node.props?.id) attributes.push(`id="${node.props.id}"`);
+			if (styleString) attributes.push(`style="${_escapeHtml({ text: styleString })}"`);
+			if (node.props?.class?.length) attributes.push(`class="${_escapeHtml({ text: node.props.class.join(" ") })}"`);
+			if (node.props?.id) attributes.push(`id="${_escapeHtml({ text: node.props.id })}"`);
 
 			// Include any other attributes not explicitly handled
 			Object.keys(node.props || {})
 				.filter(key => { return !["style", "inlineStyle", "class", "id"].includes(key); })
 				.forEach(key => {
-					attributes.push(`${key}="${node.props[key]}"`);
+					const value = node.props[key];
+					if (compact && (value === "" || value === true)) {
+						attributes.push(key);
+					} else if (!compact || (value !== null && value !== undefined && value !== false)) {
+						attributes.push(`${key}="${_escapeHtml({ text: value })}"`);
+					}
 				});
 
+			const openingTag = compact
+				? `<${[node.element, ...attributes].join(" ")}>`
+				: `<${node.element} ${attributes.join(" ")}>`;
+
+			// Void elements such as <br> and <img> have no children or end tag
+			if (voidElements.includes(node.element)) {
+				return openingTag;
+			}
+
+			// `white-space` is inherited; <pre> and <textarea> keep their whitespace unless styled otherwise
+			const fallback = ["pre", "textarea"].includes(node.element) ? "preserve" : whiteSpace;
+			const childWhiteSpace = whiteSpaceModeOf(combinedStyle["white-space"], { inherited: whiteSpace, fallback });
+
 			// Recursively process children and concatenate their HTML
-			const childrenHtml = (node.children || []).map(child => { return processNode(child); }).join("");
+			const childrenHtml = (node.children || []).map(child => { return processNode(child, childWhiteSpace, node.element); }).join("");
 
 			// Construct the HTML string for this node
-			return `<${node.element} ${attributes.join(" ")}>${childrenHtml}</${node.element}>`;
+			return `${openingTag}${childrenHtml}</${node.element}>`;
 		}
 
 		// Parse the JSON string and process each top-level node
@@ -662,9 +1419,11 @@ const EASY_LIB_UTILITIES = (() => {
 			
 			// Generate the final HTML string by processing all nodes
 			const output = json.map(node => { return processNode(node); }).join("");
+			stats.bytes = byteLength(output);
 
 			if (this.verbose) {
 				log(`_convertJsonToHtml: ${output}`);
+				log(`_convertJsonToHtml: ${PhraseFactory.get({ code: "0x0D8A4F27", args: { bytes: stats.bytes } })}`);
 			}
 
 			return output;
@@ -708,30 +1467,146 @@ const EASY_LIB_UTILITIES = (() => {
 		});
 	};
 
+	// ANCHOR Function _createChatButton
+	/**
+	 * Builds a Roll20 chat button that runs an API command, with roll queries escaped for Roll20.
+	 *
+	 * `{{name}}` placeholders in the command are replaced by the matching entry in `queries`. A query has a 
+	 * `prompt` and either a `defaultValue` or a list of `options`; an option's `value` may itself be a query, 
+	 * which is nested inside the option. Roll20 reads `|`, `,` and `}` inside a query as syntax, so literal 
+	 * text uses the entities `&#124;`, `&#44;` and `&#125;`, with one more `amp;` for every level of nesting. 
+	 * The finished command is then escaped once more for the chosen output format.
+	 *
+	 * Buttons carry the class `easy-button` so themes can style them.
+	 *
+	 * @example
+	 * const button = _createChatButton({
+	 *   label: "Speak",
+	 *   command: "!ezmod --speak text|\"{{text}}\" volume|{{volume}}",
+	 *   queries: {
+	 *     text: { prompt: "What do you say?", defaultValue: "Hello, friend" },
+	 *     volume: { prompt: "Volume", options: [{ label: "Quiet", value: 1 }, { label: "Loud | booming", value: 10 }] },
+	 *   },
+	 * });
+	 * // Output: <a class="easy-button" href="!ezmod --speak text|&quot;?{What do you say?|Hello&amp;#44; friend}&quot; 
+	 * //   volume|?{Volume|Quiet,1|Loud &amp;#124; booming,10}">Speak</a>
+	 *
+	 * @param {Object} params - The parameters object.
+	 * @param {string} params.label - The button text.
+	 * @param {string} params.command - The API command, optionally with `{{name}}` query placeholders.
+	 * @param {Object<string, Object>} [params.queries={}] - Queries keyed by placeholder name.
+	 * @param {string} [params.format="html"] - "html" for an anchor, "json" for HTML JSON, or "markdown" for `[label](command)`.
+	 * @param {string} [params.className=""] - Extra classes added after `easy-button`.
+	 * @returns {string} - The button in the requested format.
+	 */
+	function _createChatButton({ label, command, queries = {}, format = "html", className = "" }) {
+
+		// Literal text inside a query at `depth` (0 for a top-level query)
+		const escapeQueryText = (text, depth) => {
+			return `${text}`.replace(/[|,}]/g, (char) => { return `&${"amp;".repeat(depth)}#${char.charCodeAt(0)};`; });
+		};
+
+		// Query syntax is plain at the top level and escaped like the enclosing level's text when nested
+		const buildQuery = ({ prompt, defaultValue, options }, depth) => {
+			const syntax = (char) => { return depth === 0 ? char : escapeQueryText(char, depth - 1); };
+			let body = escapeQueryText(prompt, depth);
+
+			if (Array.isArray(options) && options.length > 0) {
+				body += options.map(option => {
+					const { label: optionLabel, value } = typeof option === "object" && option !== null ? option : { label: option };
+					let optionText = escapeQueryText(optionLabel, depth);
+
+					if (value !== undefined && typeof value === "object" && value !== null) {
+						optionText += `${syntax(",")}${buildQuery(value, depth + 1)}`;
+					} else if (value !== undefined && `${value}` !== `${optionLabel}`) {
+						optionText += `${syntax(",")}${escapeQueryText(value, depth)}`;
+					}
+
+					return `${syntax("|")}${optionText}`;
+				}).join("");
+			} else if (defaultValue !== undefined) {
+				body += `${syntax("|")}${escapeQueryText(defaultValue, depth)}`;
+			}
+
+			return `?{${body}${syntax("}")}`;
+		};
+
+		// Unknown placeholders are left in place rather than silently emptied
+		const fullCommand = `${command}`.replace(/{{(.*?)}}/g, (placeholder, name) => {
+			const query = queries[name.trim()];
+
+			return query ? buildQuery(query, 0) : placeholder;
+		});
+
+		const classes = ["easy-button", ...`${className}`.split(/\s+/).filter(Boolean)].join(" ");
+		const html = `<a class="${classes}" href="${_escapeHtml({ text: fullCommand })}">${_escapeHtml({ text: label })}</a>`;
+
+		switch (format) {
+		case "markdown":
+
+			// Markdown links end at "]" and ")", so those become entities
+			return `[${`${label}`.replace(/[[\]]/g, (char) => { return `&#${char.charCodeAt(0)};`; })}](${fullCommand.replace(/[()]/g, (char) => { return `&#${char.charCodeAt(0)};`; })})`;
+		case "json":
+			return _convertHtmlToJson({ html });
+		case "html":
+			return html;
+		default:
+			_logSyslogMessage.call(this, {
+				severity: 4,
+				code: "40000",
+				message: `${PhraseFactory.get({ code: "0x0C61F8A2", args: { format } })}`
+			});
+
+			return html;
+		}
+	}
+
 	// ANCHOR Function _decodeNoteContent
 	/**
 	 * Decodes HTML-encoded text into plain readable text.
 	 *
-	 * Converts HTML entities (e.g., `&lt;`, `&gt;`, `&nbsp;`) into their plain text equivalents, including special characters, spaces, and line breaks. Useful for working with Roll20 Notes content programmatically.
+	 * Converts named entities (e.g., `&lt;`, `&nbsp;`, `&rsquo;`), decimal and hexadecimal numeric entities 
+	 * (e.g., `&#39;`, `&#x7C;`), and `<br>` tags in any form (`<br/>`, `<BR />`) into their plain text 
+	 * equivalents. Entities are decoded in a single pass, so `&amp;lt;` becomes `&lt;` rather than `<`; unknown 
+	 * or invalid entities are left as written. Useful for Roll20 Notes and for chat content sent by abilities, 
+	 * handouts, and buttons.
 	 *
 	 * @example
-	 * const decodedText = _decodeNoteContent({ encodedText: "Hello&nbsp;&lt;World&gt;&nbsp;&amp;&nbsp;&#39;Friends&#39;" });
+	 * const decodedText = _decodeNoteContent({ text: "Hello&nbsp;&lt;World&gt;&nbsp;&amp;&nbsp;&#39;Friends&#x27;<br/>" });
 	 * console.log(decodedText); 
-	 * // Output: "Hello <World> & 'Friends'"
+	 * // Output: "Hello <World> & 'Friends'\n"
 	 *
 	 * @param {Object} params - The parameters for decoding.
 	 * @param {string} params.text - The HTML-encoded string.
 	 * @returns {string} - The plain text with HTML entities decoded.
 	 */
 	function _decodeNoteContent({ text }) {
+		// NOTE Easy-LibUtils and Easy-Utils each carry this entity table; keep the two copies in sync
+		const namedEntities = {
+			amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", shy: "",
+			lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", laquo: "«", raquo: "»",
+			ndash: "–", mdash: "—", hellip: "…", bull: "•", middot: "·",
+			copy: "©", reg: "®", trade: "™", deg: "°", plusmn: "±", times: "×", divide: "÷",
+			frac12: "½", frac14: "¼", frac34: "¾", sect: "§", para: "¶",
+			cent: "¢", pound: "£", euro: "€", yen: "¥",
+
+			// Punctuation Roll20 escapes inside queries and roll templates
+			vert: "|", verbar: "|", lcub: "{", rcub: "}", lbrack: "[", rbrack: "]", lpar: "(", rpar: ")",
+			comma: ",", colon: ":", excl: "!", num: "#", percnt: "%", ast: "*", commat: "@", quest: "?",
+		};
+
 		return text
-			.replace(/&lt;/g, "<")    // Decode <
-			.replace(/&gt;/g, ">")    // Decode >
-			.replace(/&quot;/g, "\"") // Decode "
-			.replace(/&#39;/g, "'")   // Decode '
-			.replace(/&nbsp;/g, " ")  // Decode non-breaking spaces
-			.replace(/<br>/g, "\n")   // Decode line breaks
-			.replace(/&amp;/g, "&");  // Decode & (must be done last to avoid double replacements)
+			.replace(/<br\s*\/?>/gi, "\n")
+			.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, name) => {
+				if (name.startsWith("#")) {
+					const codePoint = /^#x/i.test(name) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+
+					return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+				}
+
+				// Entity names are case-sensitive, e.g. `&Eacute;` differs from `&eacute;`
+				return namedEntities[name] ?? entity;
+			});
 	}
 
 	// ANCHOR Function _encodeNoteContent
@@ -760,6 +1635,75 @@ const EASY_LIB_UTILITIES = (() => {
 			.replace(/\n/g, "<br>");  // Encode newlines as <br>
 	}
 
+	// ANCHOR Function _escapeHtml
+	/**
+	 * Escapes text so it can be placed in HTML markup, either as element text or as a double-quoted attribute.
+	 *
+	 * Unlike `_encodeNoteContent`, spaces and newlines are kept as they are so the markup can still lay out the 
+	 * text; only a no-break space is written as `&nbsp;` so it stays visible in the output.
+	 *
+	 * @example
+	 * const html = `<a href="${_escapeHtml({ text: "!ezmod --say \"Hi\"" })}">${_escapeHtml({ text: "<Say>", escapeQuotes: false })}</a>`;
+	 * // Output: <a href="!ezmod --say &quot;Hi&quot;">&lt;Say&gt;</a>
+	 *
+	 * @param {Object} params - The parameters for escaping.
+	 * @param {*} params.text - The text to escape; other values are converted to strings.
+	 * @param {boolean} [params.escapeQuotes=true] - Also escape `"`; only element text may leave them as written.
+	 * @returns {string} - The escaped text.
+	 */
+	function _escapeHtml({ text, escapeQuotes = true }) {
+		const escaped = `${text}`
+			.replace(/&/g, "&amp;")
+			.replace(/</g, "&lt;")
+			.replace(/>/g, "&gt;")
+			.replace(/\u00A0/g, "&nbsp;");
+
+		return escapeQuotes ? escaped.replace(/"/g, "&quot;") : escaped;
+	}
+
+	// ANCHOR Function _expandInlineRolls
+	/**
+	 * Replaces inline roll placeholders in a chat message with their results.
+	 *
+	 * When a macro passes `[[1d20+5]]` to an API command, Roll20 delivers `$[[0]]` placeholders in the 
+	 * content and the roll details in `inlinerolls`. This substitutes each placeholder with the roll total, 
+	 * or with whatever an optional `formatter` returns when given the full roll detail. Placeholders without 
+	 * a matching roll are left untouched.
+	 *
+	 * @example
+	 * // apiCall.content: "!ezmod --damage $[[0]]", apiCall.inlinerolls[0].results.total: 7
+	 * const content = _expandInlineRolls({ apiCall });
+	 * console.log(content); // Output: "!ezmod --damage 7"
+	 *
+	 * @example
+	 * // Show the expression alongside the total
+	 * _expandInlineRolls({ apiCall, formatter: ({ roll }) => `${roll.results.total}(${roll.expression})` });
+	 *
+	 * @param {Object} params - Parameters for expanding inline rolls.
+	 * @param {Object} params.apiCall - The Roll20 message object with `content` and optional `inlinerolls`.
+	 * @param {Function} [params.formatter] - Receives `{ index, roll, placeholder }` and returns the replacement text.
+	 * @returns {string} - The message content with inline rolls expanded.
+	 */
+	function _expandInlineRolls({ apiCall, formatter }) {
+		const content = apiCall?.content || "";
+		const inlineRolls = apiCall?.inlinerolls || [];
+
+		if (inlineRolls.length === 0) {
+			return content;
+		}
+
+		// Default to the roll total
+		const format = typeof formatter === "function"
+			? formatter
+			: ({ roll }) => { return `${roll.results?.total ?? ""}`; };
+
+		return content.replace(/\$\[\[(\d+)\]\]/g, (placeholder, index) => {
+			const roll = inlineRolls[Number(index)];
+
+			return roll ? `${format({ index: Number(index), roll, placeholder })}` : placeholder;
+		});
+	}
+
 	// ANCHOR Function _getSharedForge
 	/**
 	 * Retrieves the global in-memory shared object for EasyModules.
@@ -807,6 +1751,39 @@ const EASY_LIB_UTILITIES = (() => {
 		return state[vaultName];
 	}
 
+	// ANCHOR Function _isControlledBy
+	/**
+	 * Checks whether a player controls a token or character.
+	 *
+	 * A token counts as controlled when its own `controlledby` list, or that of the character it represents, 
+	 * names the player or "all". Any other ID is looked up as a character. Unknown objects are never controlled.
+	 *
+	 * @example
+	 * _isControlledBy({ objectId: "-Mabc123", playerId: msg.playerid }); // Output: true
+	 *
+	 * @param {Object} params - The parameters object.
+	 * @param {string} params.objectId - The ID of a graphic or character.
+	 * @param {string} params.playerId - The ID of the player to check.
+	 * @returns {boolean} - `true` if the player controls the object.
+	 */
+	function _isControlledBy({ objectId, playerId }) {
+
+		const listsPlayer = (obj) => {
+			const controllers = `${obj?.get("controlledby") || ""}`.split(",").map(id => { return id.trim(); });
+
+			return controllers.includes(playerId) || controllers.includes("all");
+		};
+
+		const token = getObj("graphic", objectId);
+		if (token) {
+			const representsId = token.get("represents");
+
+			return listsPlayer(token) || (representsId ? listsPlayer(getObj("character", representsId)) : false);
+		}
+
+		return listsPlayer(getObj("character", objectId));
+	}
+
 	// ANCHOR Function _logSyslogMessage
 	/**
 	 * Logs a syslog-compatible message to the API console.
@@ -919,77 +1896,281 @@ const EASY_LIB_UTILITIES = (() => {
 	/**
 	 * Parses commands and their arguments from a chat message.
 	 *
-	 * Splits a chat message into commands and their arguments using `--` as a delimiter, 
-	 * returning a `Map` where each command is a key and its arguments are an array.
+	 * Tokenizes a chat message the way a shell would: whitespace separates arguments, double or single 
+	 * quotes group text (including spaces and a literal `--`) into one argument, and a backslash escapes 
+	 * the next character. A quote only opens at the start of an argument or of its value (`text|"a b"`), so 
+	 * apostrophes inside words (`Don't`, `O'Brien`) are literal, and a quote that is never closed is read 
+	 * literally too. Any unquoted token starting with `--` begins a new command; a bare `--` is kept as a 
+	 * command of that name, so the arguments after it never join the previous command and the router 
+	 * reports it as unknown. Tokens before the first command (e.g. `!ezmod`) are ignored.
+	 *
+	 * By default returns a `Map` where each command is a key and its arguments are an array; a repeated 
+	 * command keeps only its last arguments. With `asList` an array of `{ command, args, quoted, tails }` entries is 
+	 * returned instead, keeping every command in the order it was typed; `quoted[i]` tells whether `args[i]` 
+	 * or its value was quoted, for `_parseChatSubcommands`, and `tails[i]` holds the command's text from 
+	 * `args[i]` to its end exactly as typed, for arguments that take the rest of a command.
+	 *
+	 * Content from abilities, handouts, and buttons often arrives HTML-encoded, so entities and `<br>` tags 
+	 * are decoded with `_decodeNoteContent` before tokenizing (`&quot;` then groups text like a typed quote). 
+	 * Pass `decodeEntities: false` to tokenize the content exactly as received.
 	 *
 	 * @example
-	 * const commands = _parseChatCommands({ apiCallContent: "--menu option1 option2 --help" });
+	 * const commands = _parseChatCommands({ apiCallContent: "!ezmod --speak \"Hello -- there, friend\" --help" });
 	 * console.log(commands);
-	 * // Output: Map { "--menu" => ["option1", "option2"], "--help" => [] }
+	 * // Output: Map { "--speak" => ["Hello -- there, friend"], "--help" => [] }
+	 *
+	 * @example
+	 * const commandList = _parseChatCommands({ apiCallContent: "!ezmod --add a --add b", asList: true });
+	 * // Output: [{ command: "--add", args: ["a"], quoted: [false], tails: ["a"] }, { command: "--add", args: ["b"], quoted: [false], tails: ["b"] }]
 	 *
 	 * @param {Object} params - Parameters for parsing chat commands.
 	 * @param {string} params.apiCallContent - The full chat message containing commands.
-	 * @returns {Map<string, string[]>} - A map of commands and their arguments.
+	 * @param {boolean} [params.asList=false] - Return an ordered list of commands instead of a map.
+	 * @param {boolean} [params.decodeEntities=true] - Decode HTML entities and `<br>` tags before tokenizing.
+	 * @returns {Map<string, string[]>|Array<{command: string, args: string[], quoted: boolean[], tails: string[]}>} - The commands and their arguments.
 	 */
-	function _parseChatCommands({ apiCallContent }) {
-		const commandMap = new Map();
+	function _parseChatCommands({ apiCallContent, asList = false, decodeEntities = true }) {
+		const commandList = [];
+
+		// NOTE Easy-LibUtils and Easy-Utils each carry this tokenizer; keep the two copies in sync
+		// Split the content into tokens in a single pass, honouring quotes and backslash escapes
+		const tokenize = (content) => {
+			const tokens = [];
+			let current = null;
+			let quote = null;
+
+			// Finds the unescaped quote that would close one opened just before `from`, or -1 if none does
+			const findClosingQuote = (char, from) => {
+				for (let index = from; index < content.length; index++) {
+					if (content[index] === "\\") {
+						index++;
+					} else if (content[index] === char) {
+						return index;
+					}
+				}
+
+				return -1;
+			};
+
+			// A quote opens at the start of a token or right after the delimiter of a plain `key|` or `key#`, 
+			// and only when it is closed later; a quote that never closes was not meant as one and stays literal
+			const opensQuote = (char, index) => {
+				const atStart = !current || (current.plainLength === current.value.length && /^[^|#]+[|#]$/.test(current.value));
 
-		// Normalize the input by trimming leading and trailing whitespace
-		const normalizedContent = apiCallContent.trim();
+				return atStart && findClosingQuote(char, index + 1) !== -1;
+			};
 
-		// Split the message into segments using '--' as a delimiter
-		const segments = normalizedContent.split("--").filter(segment => { return segment.trim() !== ""; });
+			// Start a token at `start` on demand; `isPlain` stays true only while every character was unquoted and unescaped
+			const append = (char, isPlain, start) => {
+				if (!current) {
+					current = { value: "", plainLength: 0, start };
+				}
+				if (isPlain && current.plainLength === current.value.length) {
+					current.plainLength++;
+				}
+				current.value += char;
+			};
+
+			for (let index = 0; index < content.length; index++) {
+				const char = content[index];
+
+				if (char === "\\" && index + 1 < content.length) {
+					// Escaped character is always literal
+					index++;
+					append(content[index], false, index - 1);
+				} else if (quote) {
+					if (char === quote) {
+						quote = null;
+					} else {
+						append(char, false, index);
+					}
+				} else if ((char === "\"" || char === "'") && opensQuote(char, index)) {
+					// Opening a quote starts a token even if the quoted text is empty
+					quote = char;
+					append("", false, index);
+					current.isQuoted = true;
+				} else if (/\s/.test(char)) {
+					if (current) {
+						tokens.push(current);
+						current = null;
+					}
+				} else {
+					append(char, true, index);
+				}
+			}
 
-		// Process each segment
-		segments.forEach((segment, index) => {
-			// Skip the first segment if it's not a valid command (i.e., starts with '!')
-			if (index === 0 && segment.trim().startsWith("!")) {
-				return; // Skip this segment
+			if (current) {
+				tokens.push(current);
 			}
 
-			// Trim the segment and split into command and arguments
-			const trimmedSegment = segment.trim();
-			const [command, ...args] = trimmedSegment.split(/\s+/);
+			return tokens;
+		};
+
+		let currentArgs = null;
+		let currentQuoted = null;
+		let currentTails = null;
+
+		const content = decodeEntities ? _decodeNoteContent({ text: apiCallContent }) : apiCallContent;
+
+		const source = content.trim();
+		const tokens = tokenize(source);
+
+		const isCommand = (token) => {
+			return token.plainLength >= 2 && token.value.startsWith("--");
+		};
+
+		// Each argument also keeps the text from where it starts to the end of its command, exactly as typed
+		let commandEnd = source.length;
+		for (let index = tokens.length - 1; index >= 0; index--) {
+			tokens[index].tail = source.slice(tokens[index].start, commandEnd).trimEnd();
+			if (isCommand(tokens[index])) {
+				commandEnd = tokens[index].start;
+			}
+		}
 
-			// Ensure the command has no leading or trailing whitespace
-			const cleanCommand = command.toLowerCase().trim();
+		tokens.forEach(token => {
+			if (isCommand(token)) {
+				const cleanCommand = token.value.slice(2).toLowerCase();
+
+				// Record the command in the order it was typed; a bare `--` is kept so it can be reported
+				currentArgs = [];
+				currentQuoted = [];
+				currentTails = [];
+				commandList.push({ command: `--${cleanCommand}`, args: currentArgs, quoted: currentQuoted, tails: currentTails });
+			} else if (currentArgs) {
+				currentArgs.push(token.value);
+				currentQuoted.push(token.isQuoted === true);
+				currentTails.push(token.tail);
+			}
 
-			// Store the command and its arguments in the map
-			commandMap.set(`--${cleanCommand}`, args);
+			// Tokens before the first command (the `!chatName` prefix) are ignored
 		});
 
-		return commandMap;
+		if (asList) {
+			return commandList;
+		}
+
+		// Map shape kept for compatibility; later repeats overwrite earlier ones
+		return new Map(commandList.map(({ command, args }) => { return [command, args]; }));
 	}
 
 	// ANCHOR Function _parseChatSubcommands
 	/**
 	 * Parses command arguments into key-value pairs or standalone flags.
 	 *
-	 * Splits arguments using `|` or `#` as delimiters for key-value pairs. Arguments without 
-	 * delimiters are treated as standalone flags with a value of `true`.
+	 * Splits each argument on its first `|` or `#`, so values may themselves contain either character. 
+	 * Arguments without a delimiter are standalone flags with a value of `true`, while `key|` gives an empty 
+	 * string. Unquoted values that read exactly as a finite number or as `true`/`false` are coerced (`"007"`, 
+	 * `"Infinity"` and quoted values such as `"true"` stay strings); the command schema coerces the rest to 
+	 * the declared type. Dotted keys build nested objects and repeated keys collect their values into an 
+	 * array. A key used both as a value and as a group of dotted keys (`style|red style.color|blue`) keeps 
+	 * its first use; the later one is reported in `errors` and logged.
 	 *
 	 * @example
 	 * const parsedArgs = _parseChatSubcommands({ subcommands: ["key1|value1", "flag"] });
 	 * console.log(parsedArgs); // Output: { key1: "value1", flag: true }
 	 *
+	 * @example
+	 * const parsedArgs = _parseChatSubcommands({ subcommands: ["hp|12", "style.color|#ff0000", "tag|a", "tag|b", "note|"] });
+	 * console.log(parsedArgs);
+	 * // Output: { hp: 12, style: { color: "#ff0000" }, tag: ["a", "b"], note: "" }
+	 *
+	 * @example
+	 * const { args, quoted } = _parseChatCommands({ apiCallContent: "!ezmod --set code|\"12\" on|true", asList: true })[0];
+	 * _parseChatSubcommands({ subcommands: args, quoted }); // Output: { code: "12", on: true }
+	 *
 	 * @param {Object} params - Parameters for parsing subcommands.
 	 * @param {string[]} params.subcommands - The array of arguments to parse.
-	 * @returns {Object<string, string|boolean>} - A map of argument keys to values or `true` for flags.
+	 * @param {boolean[]} [params.quoted=[]] - Which arguments were quoted, from `_parseChatCommands`.
+	 * @param {Array<Object>} [params.errors] - Receives `{ argument, code, args }` for keys that collide.
+	 * @returns {Object<string, *>} - A map of argument keys to values, arrays of values, nested objects, or `true` for flags.
 	 */
-	function _parseChatSubcommands({ subcommands }) {
+	function _parseChatSubcommands({ subcommands, quoted = [], errors = [] }) {
 		const subcommandMap = {};
 
+		// Only unquoted booleans and finite numbers that survive the round trip unchanged are coerced
+		const coerceValue = (value, isQuoted) => {
+			if (!isQuoted && (value === "true" || value === "false")) {
+				return value === "true";
+			}
+			const number = Number(value);
+
+			return !isQuoted && value.trim() !== "" && Number.isFinite(number) && `${number}` === value ? number : value;
+		};
+
+		const isGroup = (value) => {
+			return typeof value === "object" && value !== null && !Array.isArray(value);
+		};
+
+		// Repeated keys collect into an array; a repeated flag simply stays `true`
+		const storeValue = (target, key, value) => {
+			if (!Object.prototype.hasOwnProperty.call(target, key)) {
+				target[key] = value;
+			} else if (Array.isArray(target[key])) {
+				target[key].push(value);
+			} else if (!(target[key] === true && value === true)) {
+				target[key] = [target[key], value];
+			}
+		};
+
+		// The first use of a key wins; later conflicting uses are reported rather than overwriting it
+		const reportCollision = (argument) => {
+			errors.push({ argument, code: "0x0B2E7F4C", args: { argument } });
+			_logSyslogMessage.call(this, {
+				severity: 4,
+				code: "40000",
+				message: `${PhraseFactory.get({ code: "0x0B2E7F4C", args: { argument } })}`
+			});
+		};
+
 		// Process each argument
-		subcommands.forEach(arg => {
-			// Check for key-value pair using | or #
-			const delimiterMatch = arg.includes("|") ? "|" : arg.includes("#") ? "#" : null;
+		subcommands.forEach((arg, index) => {
+			// Split on the first | or #; a leading delimiter is part of a flag (e.g. "#tag")
+			const delimiterIndex = arg.search(/[|#]/);
 
-			if (delimiterMatch) {
-				const [key, value] = arg.split(delimiterMatch);
-				subcommandMap[key] = value; // Store key-value pair
-			} else {
-				subcommandMap[arg] = true; // Treat as a standalone flag
+			if (delimiterIndex <= 0) {
+				if (isGroup(subcommandMap[arg])) {
+					reportCollision(arg);
+				} else {
+					storeValue(subcommandMap, arg, true); // Treat as a standalone flag
+				}
+
+				return;
+			}
+
+			const keyPath = arg.slice(0, delimiterIndex);
+			const value = coerceValue(arg.slice(delimiterIndex + 1), quoted[index] === true);
+			const keys = keyPath.split(".").filter(Boolean);
+			const lastKey = keys.pop() || keyPath;
+
+			// Never let chat input reach object prototypes
+			if ([...keys, lastKey].some(key => { return ["__proto__", "constructor", "prototype"].includes(key); })) {
+				return;
+			}
+
+			// Walk or create nested objects for dotted keys; a key already holding a value is never replaced
+			let target = subcommandMap;
+			let collision = null;
+			for (const [depth, key] of keys.entries()) {
+				if (!Object.prototype.hasOwnProperty.call(target, key)) {
+					target[key] = {};
+				} else if (!isGroup(target[key])) {
+					collision = keys.slice(0, depth + 1).join(".");
+					break;
+				}
+				target = target[key];
+			}
+			if (!collision && isGroup(target[lastKey])) {
+				collision = [...keys, lastKey].join(".");
+			}
+
+			if (collision) {
+				reportCollision(collision);
+
+				return;
 			}
+
+			storeValue(target, lastKey, value);
 		});
 
 		return subcommandMap;
@@ -1066,7 +2247,7 @@ const EASY_LIB_UTILITIES = (() => {
 	function _replacePlaceholders({ string, tokens, cssVars = {} }) {
 		return string
 		// Replace {{key}} placeholders
-			.replace(/{{(.*?)}}/g, (_, key) => {return tokens[key.trim()] || "";})
+			.replace(/{{(.*?)}}/g, (_, key) => {return tokens[key.trim()] ?? "";})
 
 		// Replace [[expression]] placeholders
 			.replace(/\[\[(.*?)\]\]/g, (_, expression) => {
@@ -1085,79 +2266,1791 @@ const EASY_LIB_UTILITIES = (() => {
 			.replace(/var\((--[\w-]+)\)/g, (_, cssVar) => {return cssVars[cssVar.trim()] || `var(${cssVar.trim()})`;});
 	}
 
-	// ANCHOR Function _whisperPlayerMessage
+	// ANCHOR Function _resolveTokenSelectors
 	/**
-	 * Sends a whispered message to a specified player or GM based on preprocessed parameters.
+	 * Resolves token selector expressions and raw object IDs to a list of token IDs.
 	 *
-	 * Assumes that the recipient (to) is already resolved to either "gm" or the player's name. 
-	 * This function does not attempt to resolve player IDs or names and relies on preprocessed inputs.
+	 * Selectors start with `@` and match tokens on the sender's player page:
+	 * - `@page` — every token on the page.
+	 * - `@name:<glob>` — tokens whose name matches, case-insensitively (`*` and `?` wildcards).
+	 * - `@layer:<layer>` — tokens on `objects`, `gmlayer`, `map`, or `walls`.
+	 * - `@represents:<character>` — tokens representing a character, given by ID or name.
+	 * - `@controlledby:<me|player>` — tokens controlled by the sender or by a player ID or display name.
+	 * - `@bar<1-3><op><number>` — tokens whose bar value compares with `<`, `<=`, `>`, `>=`, `=`, or `!=`.
+	 *
+	 * Filters joined with `+` must all match (e.g. `@name:Goblin*+@bar1<=0`). Separate selectors and raw IDs 
+	 * are combined, keeping the first occurrence of each ID. Players other than the GM only ever match tokens 
+	 * on the objects layer, so selectors cannot reveal hidden tokens.
 	 *
 	 * @example
-	 * _whisperPlayerMessage({ 
-	 *   from: "System", 
-	 *   to: "PlayerName", 
-	 *   message: "Hello, Player!" 
+	 * const { ids, invalid } = _resolveTokenSelectors({
+	 *   selectors: ["@name:Goblin*", "-Mabc123", "@bar4<0"],
+	 *   playerId: msg.playerid,
+	 *   isFromGm: true,
 	 * });
-	 * // Sends: "/w PlayerName Hello, Player!"
+	 * console.log(ids); // Output: ["-Mgob1", "-Mgob2", "-Mabc123"]
+	 * console.log(invalid); // Output: ["@bar4<0"]
 	 *
-	 * @param {Object} params - Parameters for the whisper message.
-	 * @param {string} params.from - The sender's name or identifier.
-	 * @param {string} params.to - The recipient's resolved name ("gm" or player name).
-	 * @param {string} params.message - The message content to be whispered.
-	 * @returns {string} - A formatted string showing the sender, recipient, and message.
+	 * @param {Object} params - The parameters object.
+	 * @param {Array<string>} params.selectors - Selector expressions and raw object IDs.
+	 * @param {string} params.playerId - The ID of the player the selectors are resolved for.
+	 * @param {boolean} [params.isFromGm=false] - Whether the player is a GM.
+	 * @returns {{ids: Array<string>, invalid: Array<string>}} - The matched IDs and any selectors that could not be parsed.
 	 */
-	function _whisperPlayerMessage({ from, to, message }) {
+	function _resolveTokenSelectors({ selectors = [], playerId, isFromGm = false }) {
+
+		const ids = new Set();
+		const invalid = [];
+
+		// Players can be moved to their own page, which takes precedence over the party's page
+		const campaign = Campaign();
+		const pageId = (campaign.get("playerspecificpages") || {})[playerId] || campaign.get("playerpageid");
+
+		const compare = {
+			"<": (value, target) => { return value < target; },
+			"<=": (value, target) => { return value <= target; },
+			">": (value, target) => { return value > target; },
+			">=": (value, target) => { return value >= target; },
+			"=": (value, target) => { return value === target; },
+			"!=": (value, target) => { return value !== target; },
+		};
 
-		// Ensure sender has a default value
-		const sender = from || `${this.modName}`;
+		const globToRegex = (glob) => {
+			const pattern = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
 
-		// Ensure recipient has a default value
-		const recipient = to || "gm";
+			return new RegExp(`^${pattern}$`, "i");
+		};
 
-		try {
+		// Builds a predicate for a single filter, or returns null when the filter is not understood
+		const buildFilter = (filter) => {
+			const barMatch = filter.match(/^@bar([1-3])(<=|>=|!=|<|>|=)(-?\d+(?:\.\d+)?)$/i);
+			if (barMatch) {
+				const [, bar, operator, target] = barMatch;
 
-			// Send the chat message using Roll20's sendChat API
-			sendChat(sender, `/w ${recipient} ${message}`);
+				return (token) => {
+					const value = `${token.get(`bar${bar}_value`)}`.trim();
 
-			return 0;
-			// Return a string summarizing the message details
-			// return `${sender};;${recipient};;${message}`;
-		}
-		catch (err) {
-			_logSyslogMessage({
-				severity: 3,
-				code: "30000",
-				message: `${err}`,
-			});
+					return value !== "" && !isNaN(Number(value)) && compare[operator](Number(value), Number(target));
+				};
+			}
 
-			return 1;
-		}
-	}
+			const separator = filter.indexOf(":");
+			const key = (separator === -1 ? filter : filter.slice(0, separator)).toLowerCase();
+			const value = separator === -1 ? "" : filter.slice(separator + 1);
 
-	// !SECTION End of Utility Functions: Low Level
+			switch (key) {
+			case "@page":
+				return separator === -1 ? () => { return true; } : null;
+			case "@name": {
+				const nameRegex = globToRegex(value);
 
-	/*******************************************************************************************************************
-	* SECTION UTILITY FUNCTIONS: High Level                                                                            *
-	*******************************************************************************************************************/
+				return value ? (token) => { return nameRegex.test(token.get("name") || ""); } : null;
+			}
+			case "@layer":
+				return ["objects", "gmlayer", "map", "walls"].includes(value.toLowerCase())
+					? (token) => { return token.get("layer") === value.toLowerCase(); }
+					: null;
+			case "@represents": {
+				if (!value) {
+					return null;
+				}
+				const characterIds = getObj("character", value)
+					? [value]
+					: findObjs({ _type: "character" })
+						.filter(character => { return `${character.get("name")}`.toLowerCase() === value.toLowerCase(); })
+						.map(character => { return character.id; });
 
-	// NOTE High Level functions are considered essential to the operation of a module.
-	// They should attempt to fallback to defaults. If the outcome is still erroneous, throw an error to the Roll20 API.
+				return (token) => { return characterIds.includes(token.get("represents")); };
+			}
+			case "@controlledby": {
+				if (!value) {
+					return null;
+				}
+				const player = value.toLowerCase() === "me"
+					? getObj("player", playerId)
+					: getObj("player", value) || findObjs({ _type: "player" })
+						.find(candidate => { return `${candidate.get("_displayname")}`.toLowerCase() === value.toLowerCase(); });
 
-	// ANCHOR Function _createPhraseFactory
+				return (token) => { return player ? _isControlledBy({ objectId: token.id, playerId: player.id }) : false; };
+			}
+			default:
+				return null;
+			}
+		};
+
+		let pageTokens = null;
+
+		selectors.forEach(selector => {
+			const text = `${selector}`.trim();
+
+			if (!text.startsWith("@")) {
+				if (text) {
+					ids.add(text);
+				}
+
+				return;
+			}
+
+			const filters = text.split("+").map(buildFilter);
+			if (filters.includes(null)) {
+				invalid.push(text);
+
+				return;
+			}
+
+			// Only look the page up once, and only if a selector needs it
+			if (!pageTokens) {
+				pageTokens = findObjs({ _type: "graphic", _subtype: "token", _pageid: pageId })
+					.filter(token => { return isFromGm || token.get("layer") === "objects"; });
+			}
+
+			pageTokens
+				.filter(token => { return filters.every(filter => { return filter(token); }); })
+				.forEach(token => { ids.add(token.id); });
+		});
+
+		return { ids: [...ids], invalid };
+	}
+
+	// ANCHOR Function _sanitizeHtmlJson
 	/**
-	 * Creates a factory for managing localized phrases.
+	 * Restricts styled HTML JSON to what Roll20 displays.
 	 *
-	 * Initializes phrases only for the currently set language and provides methods
-	 * to retrieve, add, update, and remove phrases. Supports dynamic content in phrases.
+	 * Roll20 chat and handouts each accept a limited set of tags, attributes, and CSS properties and strip or 
+	 * mangle the rest. Run this after `_applyCssToHtmlJson` so the output arrives as the theme intended:
 	 *
-	 * Phrases are organized per language and accessed via the global state.
+	 * - Tags outside the profile are renamed when there is a close equivalent (`section` and `details` to 
+	 *   `div`, `del` to `s`), dropped with their content when they are unsafe (`script`, `style`, `iframe`, 
+	 *   form controls), and otherwise unwrapped so their children stay, with a space on either side.
+	 * - Attributes outside the profile are dropped, as are links and image sources that are not `http(s)`, 
+	 *   API commands (`!`), or abilities and macros (`~`, `%`, `#`); links and sources are kept trimmed. 
+	 *   Classes and IDs are always removed silently, since their styles are already inline.
+	 * - CSS properties outside the profile are dropped, as are values with unresolved variables, scripts, 
+	 *   or `url()` (handouts allow `http(s)` images in backgrounds).
+	 * - `rawHtml` nodes are parsed and sanitized like the rest, so their markup is checked as well.
 	 *
-	 * @returns {Object} - A factory with methods to manage phrases.
+	 * Every change is pushed to `changes` as `{ kind, action, name, element, value }` and, in verbose mode, 
+	 * summarized in the log.
+	 *
+	 * @example
+	 * const changes = [];
+	 * const safeJson = _sanitizeHtmlJson({ htmlJson: styledJson, profile: "chat", changes });
+	 * // changes: [{ kind: "property", action: "dropped", name: "position", element: "div", value: "absolute" }]
+	 *
+	 * @param {Object} params - The parameters object.
+	 * @param {string} params.htmlJson - Styled HTML JSON from `_applyCssToHtmlJson`.
+	 * @param {string} [params.profile="chat"] - "chat" or "handout".
+	 * @param {Array<Object>} [params.changes] - Receives each change made.
+	 * @returns {string} - The sanitized HTML JSON.
 	 */
-	function _createPhraseFactory() {
-		const defaultLanguage = this.phraseLanguage;
-	
-		// Default phrases with {{ ... }} placeholders
+	function _sanitizeHtmlJson({ htmlJson, profile = "chat", changes = [] }) {
+
+		const chatTags = [
+			"a", "b", "blockquote", "br", "caption", "code", "div", "em", "h1", "h2", "h3", "h4", "h5", "h6", "hr", 
+			"i", "img", "li", "ol", "p", "pre", "s", "small", "span", "strong", "sub", "sup", "table", "tbody", 
+			"td", "tfoot", "th", "thead", "tr", "u", "ul"
+		];
+		const chatProperties = [
+			"background", "background-color", "border", "border-bottom", "border-collapse", "border-color", 
+			"border-left", "border-radius", "border-right", "border-spacing", "border-style", "border-top", 
+			"border-width", "box-shadow", "color", "display", "font", "font-family", "font-size", "font-style", 
+			"font-variant", "font-weight", "height", "letter-spacing", "line-height", "list-style", 
+			"list-style-position", "list-style-type", "margin", "margin-bottom", "margin-left", "margin-right", 
+			"margin-top", "max-width", "min-width", "opacity", "overflow-wrap", "padding", "padding-bottom", 
+			"padding-left", "padding-right", "padding-top", "text-align", "text-decoration", "text-indent", 
+			"text-shadow", "text-transform", "vertical-align", "white-space", "width", "word-break", 
+			"word-spacing", "word-wrap"
+		];
+
+		const profiles = {
+			chat: { tags: chatTags, properties: chatProperties, urlProperties: [] },
+			handout: {
+				tags: [...chatTags, "col", "colgroup", "dd", "dl", "dt"],
+				properties: [...chatProperties, "background-image", "clear", "float", "max-height", "min-height", "overflow", "table-layout"],
+				urlProperties: ["background", "background-image"],
+			},
+		};
+
+		// Attributes allowed on every element, and per element
+		const allowedAttributes = {
+			"*": ["title"],
+			a: ["href"],
+			img: ["src", "alt", "width", "height"],
+			td: ["colspan", "rowspan"],
+			th: ["colspan", "rowspan"],
+			col: ["span"],
+			ol: ["start"],
+		};
+		const renamedTags = {
+			address: "div", article: "div", aside: "div", figcaption: "div", figure: "div", footer: "div", 
+			header: "div", main: "div", nav: "div", section: "div", details: "div", summary: "div", dialog: "div", 
+			fieldset: "div", legend: "div", center: "div", abbr: "span", cite: "span", label: "span", 
+			mark: "span", time: "span", kbd: "code", samp: "code", var: "i", del: "s", strike: "s", ins: "u"
+		};
+		const droppedTags = [
+			"audio", "base", "button", "canvas", "embed", "form", "head", "iframe", "input", "link", "math", 
+			"meta", "noscript", "object", "option", "script", "select", "style", "svg", "template", "textarea", 
+			"title", "video"
+		];
+
+		const profileName = profiles[profile] ? profile : "chat";
+		const rules = profiles[profileName];
+		if (profileName !== profile) {
+			_logSyslogMessage.call(this, {
+				severity: 4,
+				code: "40000",
+				message: `${PhraseFactory.get({ code: "0x0F2C6B84", args: { profile } })}`
+			});
+		}
+
+		// Browsers ignore leading and trailing spaces and control characters in URLs, so they are trimmed first
+		const trimUrl = (value) => {
+			return `${value}`.replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, "");
+		};
+
+		const isSafeUrl = (url) => {
+			return /^(?:https?:\/\/|[!~%#])/i.test(url);
+		};
+
+		// Keeps `url()` only for http(s) images on properties that take them
+		const isSafeValue = (property, value) => {
+			const text = `${value}`;
+			if (/javascript:|expression\s*\(|var\s*\(/i.test(text)) {
+				return false;
+			}
+			const urls = [...text.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/gi)].map(match => { return match[2]; });
+
+			return urls.length === 0 || (rules.urlProperties.includes(property) && urls.every(url => { return /^https?:\/\//i.test(url); }));
+		};
+
+		const record = (change) => { changes.push(change); };
+
+		const sanitizeStyles = (styles = {}, element) => {
+			return Object.fromEntries(Object.entries(styles).filter(([property, value]) => {
+				const isKept = rules.properties.includes(property) && isSafeValue(property, value);
+				if (!isKept) {
+					record({ kind: "property", action: "dropped", name: property, element, value });
+				}
+
+				return isKept;
+			}));
+		};
+
+		const sanitizeProps = (props = {}, element) => {
+			const allowed = [...allowedAttributes["*"], ...(allowedAttributes[element] || [])];
+			const sanitized = {
+				style: sanitizeStyles(props.style, element),
+				class: [],
+				id: null,
+				inlineStyle: sanitizeStyles(props.inlineStyle, element),
+			};
+
+			Object.entries(props)
+				.filter(([name]) => { return !["style", "inlineStyle", "class", "id"].includes(name); })
+				.forEach(([name, value]) => {
+					const isUrl = name === "href" || name === "src";
+					const kept = isUrl ? trimUrl(value) : value;
+					if (allowed.includes(name) && (!isUrl || isSafeUrl(kept))) {
+						sanitized[name] = kept;
+					} else {
+						record({ kind: "attribute", action: "dropped", name, element, value });
+					}
+				});
+
+			return sanitized;
+		};
+
+		// Returns the nodes that replace `node`: itself, a renamed copy, its children, or nothing
+		const sanitizeNode = (node) => {
+			if (!node || node.element === "text") {
+				return node ? [node] : [];
+			}
+			if (node.element === "rawHtml") {
+				return sanitizeChildren(JSON.parse(_convertHtmlToJson.call(this, { html: node.children?.[0]?.innerHtml ?? "" })));
+			}
+
+			const element = `${node.element}`.toLowerCase();
+			if (droppedTags.includes(element)) {
+				record({ kind: "tag", action: "dropped", name: element, element });
+
+				return [];
+			}
+
+			const children = sanitizeChildren(node.children);
+			if (rules.tags.includes(element)) {
+				return [{ ...node, element, props: sanitizeProps(node.props, element), children }];
+			}
+			if (renamedTags[element]) {
+				record({ kind: "tag", action: "renamed", name: element, element, value: renamedTags[element] });
+
+				return [{ ...node, element: renamedTags[element], props: sanitizeProps(node.props, renamedTags[element]), children }];
+			}
+
+			record({ kind: "tag", action: "unwrapped", name: element, element });
+
+			// A space on either side keeps the text from running into its neighbours (`a<foo>b</foo>c` reads "a b c")
+			const separator = { element: "text", children: [{ innerText: " " }] };
+
+			return children.length > 0 ? [separator, ...children, { ...separator }] : [];
+		};
+
+		const sanitizeChildren = (nodes = []) => {
+			return nodes.flatMap(sanitizeNode).map((child, index) => { return { ...child, childIndex: index + 1 }; });
+		};
+
+		try {
+			const output = JSON.stringify(sanitizeChildren(JSON.parse(htmlJson)), null, 2);
+
+			if (this.verbose && changes.length > 0) {
+				const summary = changes.map(({ kind, action, name, element }) => { return `${action} ${kind} ${name} (${element})`; });
+				log(`_sanitizeHtmlJson: ${PhraseFactory.get({ code: "0x06B9E3D2", args: { profile: profileName, count: changes.length, changes: summary.join("; ") } })}`);
+			}
+
+			return output;
+		}
+		catch (err) {
+			_logSyslogMessage.call(this, {
+				severity: 3,
+				code: "30000",
+				message: `${err}`,
+			});
+
+			return 1;
+		}
+	}
+
+	// ANCHOR Function _whisperPlayerMessage
+	/**
+	 * Sends a whispered message to a specified player or GM based on preprocessed parameters.
+	 *
+	 * Assumes that the recipient (to) is already resolved to either "gm" or the player's name. 
+	 * This function does not attempt to resolve player IDs or names and relies on preprocessed inputs.
+	 *
+	 * @example
+	 * _whisperPlayerMessage({ 
+	 *   from: "System", 
+	 *   to: "PlayerName", 
+	 *   message: "Hello, Player!" 
+	 * });
+	 * // Sends: "/w PlayerName Hello, Player!"
+	 *
+	 * @param {Object} params - Parameters for the whisper message.
+	 * @param {string} params.from - The sender's name or identifier.
+	 * @param {string} params.to - The recipient's resolved name ("gm" or player name).
+	 * @param {string} params.message - The message content to be whispered.
+	 * @returns {string} - A formatted string showing the sender, recipient, and message.
+	 */
+	function _whisperPlayerMessage({ from, to, message }) {
+
+		// Ensure sender has a default value
+		const sender = from || `${this.modName}`;
+
+		// Ensure recipient has a default value
+		const recipient = to || "gm";
+
+		try {
+
+			// Send the chat message using Roll20's sendChat API
+			sendChat(sender, `/w ${recipient} ${message}`);
+
+			return 0;
+			// Return a string summarizing the message details
+			// return `${sender};;${recipient};;${message}`;
+		}
+		catch (err) {
+			_logSyslogMessage({
+				severity: 3,
+				code: "30000",
+				message: `${err}`,
+			});
+
+			return 1;
+		}
+	}
+
+	// !SECTION End of Utility Functions: Low Level
+
+	/*******************************************************************************************************************
+	* SECTION UTILITY FUNCTIONS: High Level                                                                            *
+	*******************************************************************************************************************/
+
+	// NOTE High Level functions are considered essential to the operation of a module.
+	// They should attempt to fallback to defaults. If the outcome is still erroneous, throw an error to the Roll20 API.
+
+	// ANCHOR Function _createCommandSchema
+	/**
+	 * Creates a schema of chat commands that validates and coerces arguments before dispatching.
+	 *
+	 * Each command declares a description, an optional `args` map and a `handler`. When `args` is declared, 
+	 * parsed subcommands are checked against it: unknown arguments, missing required arguments, values of 
+	 * the wrong type, and values outside `allowed` are reported; defaults fill in omitted arguments. When 
+	 * `args` is omitted the parsed subcommands are passed through untouched. Supported types are `string`, 
+	 * `number`, `integer`, `boolean`, and `object` (built from dotted keys). An argument declared with 
+	 * `multiple: true` accepts repeated keys and always receives an array. An argument declared with 
+	 * `rest: true` takes everything typed from it to the end of its command, quotes included, when the chat 
+	 * router dispatches it (e.g. `input|"say "hi" twice"`); it suits free text sent last by a button.
+	 *
+	 * Each command also has a `permission`: "player" (the default) lets anyone run it, "gm" limits it to GMs 
+	 * (`gmOnly: true` is shorthand for this), and "controller" requires every target token or character 
+	 * (`msgDetails.selectedIdsArray`) to be controlled by the sender. GMs pass every check. Refused calls are 
+	 * whispered to the sender and logged.
+	 *
+	 * Commands marked `hidden` (e.g. ones only reached through buttons) are left out of menus and suggestions.
+	 *
+	 * A `rateLimit` of `{ capacity, refillPerSecond }` caps how often each player may run the command; the 
+	 * chat router enforces it (see `_createChatRouter`).
+	 *
+	 * Commands may declare `aliases`, and any unambiguous prefix of a command or alias resolves to it 
+	 * (e.g. "--sp" for "--speak"). Names that do not resolve can be matched against the closest 
+	 * registered commands by edit distance with `suggest`.
+	 *
+	 * @example
+	 * const commandSchema = _createCommandSchema({
+	 *   commands: {
+	 *     "--speak": {
+	 *       description: "Speak as the selected token.",
+	 *       aliases: ["--say"],
+	 *       args: {
+	 *         text: { type: "string", required: true, description: "What to say." },
+	 *         volume: { type: "integer", default: 5, allowed: [1, 5, 10] },
+	 *       },
+	 *       handler: (msgDetails, parsedArgs) => { log(parsedArgs.text); },
+	 *     },
+	 *     "--reset": { description: "Reset the module.", permission: "gm", handler: () => {} },
+	 *     "--move": { description: "Move your tokens.", permission: "controller", handler: () => {} },
+	 *   }
+	 * });
+	 *
+	 * commandSchema.validate({ command: "--speak", parsedArgs: { volume: "5" } });
+	 * // Output: { isValid: false, args: { volume: 5 }, errors: [{ argument: "text", code: "0x03B6FF6E", ... }] }
+	 *
+	 * commandSchema.resolve({ command: "--sa" }); // Output: "--speak"
+	 * commandSchema.suggest({ command: "--speek" }); // Output: ["--speak"]
+	 *
+	 * @param {Object} params - Parameters for creating the schema.
+	 * @param {Object<string, Object>} [params.commands={}] - Command definitions keyed by command name (e.g. "--speak").
+	 * @returns {Object} - A schema with methods to add, get, list, resolve, suggest, authorize, validate, and dispatch commands.
+	 */
+	function _createCommandSchema({ commands = {} } = {}) {
+
+		const registry = {};
+
+		// Maps every command name and alias to the command it stands for
+		const names = {};
+
+		// Counts the single-character edits needed to turn one name into another
+		const editDistance = (source, target) => {
+			let previousRow = Array.from({ length: target.length + 1 }, (_, index) => { return index; });
+
+			for (let row = 1; row <= source.length; row++) {
+				const currentRow = [row];
+
+				for (let column = 1; column <= target.length; column++) {
+					const cost = source[row - 1] === target[column - 1] ? 0 : 1;
+					currentRow[column] = Math.min(previousRow[column] + 1, currentRow[column - 1] + 1, previousRow[column - 1] + cost);
+				}
+				previousRow = currentRow;
+			}
+
+			return previousRow[target.length];
+		};
+
+		// Coerces a parsed value to the declared type; returns `undefined` when it cannot be coerced
+		const coerceValue = (type, value) => {
+			const isObject = typeof value === "object" && value !== null && !Array.isArray(value);
+
+			if (type === "object" || isObject) {
+				return type === "object" && isObject ? value : undefined;
+			}
+
+			switch (type) {
+			case "number": {
+				const number = value === true || value === "" ? NaN : Number(value);
+
+				return Number.isFinite(number) ? number : undefined;
+			}
+			case "integer": {
+				const number = value === true || value === "" ? NaN : Number(value);
+
+				return Number.isInteger(number) ? number : undefined;
+			}
+			case "boolean": {
+				if (value === true || value === false) {
+					return value;
+				}
+				const normalized = `${value}`.toLowerCase();
+				if (["true", "yes", "on", "1"].includes(normalized)) {
+					return true;
+				}
+				if (["false", "no", "off", "0"].includes(normalized)) {
+					return false;
+				}
+
+				return undefined;
+			}
+			default:
+
+				// A standalone flag has no text to offer a string argument
+				return value === true ? undefined : `${value}`;
+			}
+		};
+
+		const schema = {
+
+			/**
+			 * Adds or replaces command definitions.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {Object<string, Object>} options.newCommands - Command definitions keyed by command name.
+			 */
+			add: ({ newCommands }) => {
+				Object.entries(newCommands || {}).forEach(([name, definition]) => {
+					if (!definition || typeof definition.handler !== "function") {
+						_logSyslogMessage.call(this, {
+							severity: 3,
+							code: "40000",
+							message: `${PhraseFactory.get({ code: "0x07F3A9C2", args: { name } })}`
+						});
+
+						return;
+					}
+
+					const command = name.toLowerCase();
+					const aliases = (definition.aliases || []).map(alias => { return `${alias}`.toLowerCase(); });
+
+					// Replacing a command drops the aliases it was registered with
+					Object.keys(names).forEach(key => {
+						if (names[key] === command) {
+							delete names[key];
+						}
+					});
+
+					// Fail closed: a permission we do not recognize is treated as GM only
+					let permission = definition.permission || (definition.gmOnly ? "gm" : "player");
+					if (!["gm", "player", "controller"].includes(permission)) {
+						_logSyslogMessage.call(this, {
+							severity: 4,
+							code: "40000",
+							message: `${PhraseFactory.get({ code: "0x09B2C4F7", args: { name, permission } })}`
+						});
+						permission = "gm";
+					}
+
+					registry[command] = { description: "", ...definition, aliases, permission, gmOnly: permission === "gm" };
+					[command, ...aliases].forEach(key => { names[key] = command; });
+				});
+			},
+
+			/**
+			 * Retrieves a command definition.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {string} options.command - The command name (e.g. "--speak").
+			 * @returns {Object|null} - The command definition or `null` if it is not registered.
+			 */
+			get: ({ command }) => {
+				return registry[`${command}`.toLowerCase()] || null;
+			},
+
+			/**
+			 * Lists all registered commands.
+			 *
+			 * @returns {Array<Object>} - Command definitions with their `command` name included.
+			 */
+			list: () => {
+				return Object.entries(registry).map(([command, definition]) => {
+					return { command, ...definition };
+				});
+			},
+
+			/**
+			 * Resolves a typed name to a registered command by exact name, alias, or unambiguous prefix.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {string} options.command - The name as typed (e.g. "--sp").
+			 * @returns {string|null} - The registered command name, or `null` if none or several match.
+			 */
+			resolve: ({ command }) => {
+				const typed = `${command}`.toLowerCase();
+
+				if (names[typed]) {
+					return names[typed];
+				}
+
+				// A bare "--" would prefix everything, so require at least one character after it
+				if (typed.replace(/^--/, "").length === 0) {
+					return null;
+				}
+
+				const matches = new Set(Object.keys(names)
+					.filter(name => { return name.startsWith(typed); })
+					.map(name => { return names[name]; }));
+
+				return matches.size === 1 ? [...matches][0] : null;
+			},
+
+			/**
+			 * Suggests registered commands that are close to a name that did not resolve.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {string} options.command - The name as typed.
+			 * @param {boolean} [options.isFromGm=false] - Whether to include GM-only commands.
+			 * @param {number} [options.limit=3] - The maximum number of suggestions.
+			 * @returns {Array<string>} - Command names, closest first.
+			 */
+			suggest: ({ command, isFromGm = false, limit = 3 }) => {
+				const typed = `${command}`.toLowerCase().replace(/^--/, "");
+
+				// Allow roughly one typo per three characters, and never fewer than two
+				const threshold = Math.max(2, Math.floor(typed.length / 3));
+				const closest = {};
+
+				Object.entries(names).forEach(([name, target]) => {
+					if (registry[target].hidden || (registry[target].gmOnly && !isFromGm)) {
+						return;
+					}
+
+					const distance = editDistance(typed, name.replace(/^--/, ""));
+					if (distance <= threshold && (!(target in closest) || distance < closest[target])) {
+						closest[target] = distance;
+					}
+				});
+
+				return Object.keys(closest)
+					.sort((first, second) => { return closest[first] - closest[second] || first.localeCompare(second); })
+					.slice(0, limit);
+			},
+
+			/**
+			 * Checks whether a player may run a command against the given targets.
+			 *
+			 * A name that does not resolve to a registered command is refused with an "unrecognized command" error.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {string} options.command - The command name, alias, or unambiguous prefix.
+			 * @param {string} options.playerId - The ID of the player running the command.
+			 * @param {boolean} [options.isFromGm=false] - Whether the player is a GM; GMs may run every command.
+			 * @param {Array<string>} [options.targetIds=[]] - IDs of the tokens or characters the command would act on.
+			 * @returns {{isAllowed: boolean, errors: Array<Object>}} - Whether the call is allowed and why not.
+			 */
+			authorize: ({ command: typed, playerId, isFromGm = false, targetIds = [] }) => {
+				const command = schema.resolve({ command: typed });
+				const errors = [];
+
+				// A name that does not resolve is refused, whoever sent it
+				if (!command) {
+					errors.push({ argument: null, code: "0x06D5E2A1", args: { command: typed } });
+
+					return { isAllowed: false, errors };
+				}
+
+				const { permission } = registry[command];
+
+				if (isFromGm || permission === "player") {
+					return { isAllowed: true, errors };
+				}
+
+				if (permission === "gm") {
+					errors.push({ argument: null, code: "0x0E27D0F1", args: { command } });
+				} else if (targetIds.length === 0) {
+					errors.push({ argument: null, code: "0x0C7B21E5", args: { command } });
+				} else {
+					const uncontrolled = targetIds.filter(objectId => { return !_isControlledBy({ objectId, playerId }); });
+
+					if (uncontrolled.length > 0) {
+
+						// Name targets where possible; an ID alone means little at the table
+						const targets = uncontrolled.map(objectId => {
+							const obj = getObj("graphic", objectId) || getObj("character", objectId);
+
+							return obj?.get("name") || objectId;
+						});
+						errors.push({ argument: null, code: "0x02D9F6A8", args: { command, targets: targets.join(", ") } });
+					}
+				}
+
+				return { isAllowed: errors.length === 0, errors };
+			},
+
+			/**
+			 * Validates and coerces parsed arguments against a command definition.
+			 *
+			 * A name that does not resolve to a registered command fails with an "unrecognized command" error.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {string} options.command - The command name, alias, or unambiguous prefix.
+			 * @param {Object} [options.parsedArgs={}] - Arguments from `_parseChatSubcommands`.
+			 * @returns {{isValid: boolean, args: Object, errors: Array<Object>}} - The coerced arguments and any errors.
+			 */
+			validate: ({ command: typed, parsedArgs = {} }) => {
+				const command = schema.resolve({ command: typed });
+				const definition = registry[command];
+				const errors = [];
+
+				if (!definition) {
+					errors.push({ argument: null, code: "0x06D5E2A1", args: { command: typed } });
+
+					return { isValid: false, args: {}, errors };
+				}
+
+				// Without declared arguments there is nothing to check
+				if (!definition.args) {
+					return { isValid: true, args: { ...parsedArgs }, errors };
+				}
+
+				const args = {};
+
+				Object.keys(parsedArgs).forEach(argument => {
+					if (!definition.args[argument]) {
+						errors.push({ argument, code: "0x01C9A3B5", args: { argument, command } });
+					}
+				});
+
+				Object.entries(definition.args).forEach(([argument, spec]) => {
+					const type = spec.type || "string";
+
+					if (!(argument in parsedArgs)) {
+						if (spec.required) {
+							errors.push({ argument, code: "0x03B6FF6E", args: { argument, command } });
+						} else if ("default" in spec) {
+							args[argument] = spec.default;
+						}
+
+						return;
+					}
+
+					// Repeated keys arrive as an array, which only `multiple` arguments accept
+					const rawValue = parsedArgs[argument];
+					const rawValues = spec.multiple && !Array.isArray(rawValue) ? [rawValue] : [].concat(rawValue);
+
+					if (!spec.multiple && rawValues.length > 1) {
+						errors.push({ argument, code: "0x0F4A1E2D", args: { argument, command, type, value: rawValues.join(", ") } });
+
+						return;
+					}
+
+					const values = [];
+					for (const item of rawValues) {
+						const value = coerceValue(type, item);
+
+						if (value === undefined) {
+							errors.push({ argument, code: "0x0F4A1E2D", args: { argument, command, type, value: typeof item === "object" ? JSON.stringify(item) : `${item === true ? "" : item}` } });
+
+							return;
+						}
+
+						if (Array.isArray(spec.allowed) && !spec.allowed.includes(value)) {
+							errors.push({ argument, code: "0x0D1A7C44", args: { argument, command, allowed: spec.allowed.join(", ") } });
+
+							return;
+						}
+
+						values.push(value);
+					}
+
+					args[argument] = spec.multiple ? values : values[0];
+				});
+
+				return { isValid: errors.length === 0, args, errors };
+			},
+
+			/**
+			 * Authorizes and validates a command and calls its handler, or whispers an alert listing what was wrong.
+			 *
+			 * Refused calls are also logged, naming the sender and the reason.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {Object} options.msgDetails - Message details built by the module; `raw` holds the Roll20 message.
+			 * @param {string} options.command - The command name, alias, or unambiguous prefix.
+			 * @param {Object} [options.parsedArgs={}] - Arguments from `_parseChatSubcommands`.
+			 * @param {Array<string>} [options.rawArgs=[]] - The arguments as typed, passed to the handler third.
+			 * @returns {Promise<number>} - Returns `0` when the handler ran, or `1` if it was refused, validation failed, 
+			 * or the handler returned `1`.
+			 */
+			dispatch: async ({ msgDetails, command, parsedArgs = {}, rawArgs = [] }) => {
+				const playerId = msgDetails.raw?.playerid;
+
+				// An unknown name is not a permission problem; say so plainly
+				if (!schema.resolve({ command })) {
+					await _whisperAlertMessage.call(this, {
+						apiCall: msgDetails.raw,
+						severity: 3,
+						description: `${PhraseFactory.get({ playerId, code: "0x06D5E2A1", args: { command } })}`,
+					});
+
+					return 1;
+				}
+
+				const { isAllowed, errors: refusals } = schema.authorize({
+					command,
+					playerId,
+					isFromGm: msgDetails.isFromGm,
+					targetIds: msgDetails.selectedIdsArray || [],
+				});
+
+				if (!isAllowed) {
+					const reason = refusals.map(error => { return PhraseFactory.get({ playerId, code: error.code, args: error.args }); }).join("\n");
+
+					_logSyslogMessage.call(this, {
+						severity: 4,
+						code: "40000",
+						message: `${PhraseFactory.get({ code: "0x0D6F3B92", args: { player: msgDetails.raw?.who || playerId, command, reason } })}`
+					});
+
+					await _whisperAlertMessage.call(this, {
+						apiCall: msgDetails.raw,
+						severity: 3,
+						description: `${PhraseFactory.get({ playerId, code: "0x0A4E8D13", args: { command } })}`,
+						remark: reason,
+					});
+
+					return 1;
+				}
+
+				const { isValid, args, errors } = schema.validate({ command, parsedArgs });
+
+				if (!isValid) {
+
+					await _whisperAlertMessage.call(this, {
+						apiCall: msgDetails.raw,
+						severity: 3,
+						description: `${PhraseFactory.get({ playerId, code: "40000", args: { remark: command } })}`,
+						remark: errors.map(error => { return PhraseFactory.get({ playerId, code: error.code, args: error.args }); }).join("\n"),
+					});
+
+					return 1;
+				}
+
+				// Handlers follow the library's convention and may return `1` to report that they failed
+				const result = await registry[schema.resolve({ command })].handler(msgDetails, args, rawArgs);
+
+				return result === 1 ? 1 : 0;
+			},
+		};
+
+		schema.add({ newCommands: commands });
+
+		return schema;
+	}
+
+	// ANCHOR Function _createChatRouter
+	/**
+	 * Creates the router that receives chat commands for every Easy module.
+	 *
+	 * Easy-LibUtils owns the only `chat:message` listener and hands each API message to the route registered 
+	 * for its `!chatName`. The message is parsed once: inline rolls are expanded, commands are split in the order 
+	 * typed, and `--ids` (raw IDs or token selectors) replaces the selected tokens. Each command is then resolved 
+	 * through the route's command schema, which checks permissions and arguments before calling the handler. 
+	 * Unknown commands get an alert with the closest matches, and an error thrown by a handler is logged and 
+	 * reported to the sender instead of halting the sandbox.
+	 *
+	 * Handlers receive `msgDetails` with `raw` (the Roll20 message), `rawContent` (the content before inline 
+	 * rolls and HTML entities were decoded), `commands`, `inlineRolls`, `isFromGm`, `senderId` (the player 
+	 * object, or `null`), `senderDisplayName`, and `selectedIdsArray`, followed by the validated arguments and 
+	 * the command's raw argument list. A route registered with `decodeEntities: false` parses its messages 
+	 * without decoding entities (see `_parseChatCommands`).
+	 *
+	 * Every route also accepts `--batch` with one quoted command line per argument (e.g. 
+	 * `!ezmod --batch "--tip" "!ezlibutils --modules" onerror|continue`); see `runBatch`. Its lines run after 
+	 * the message's other commands and may hold a `--batch` or run a macro themselves, up to three levels deep.
+	 *
+	 * Players are rate limited with token buckets: every message and batch line takes a token from the player's 
+	 * bucket (set by the GM with `!ezlibutils --ratelimit`, or per route on `register`), as does every command 
+	 * after a message's first, and commands that declare a `rateLimit` also take one from a bucket for that 
+	 * player and command. A refused message is dropped before any parsing and a refused command is skipped; 
+	 * the player is told once when to try again rather than once per call. GMs are exempt.
+	 *
+	 * @example
+	 * const chatRouter = _createChatRouter.call(moduleSettings);
+	 * chatRouter.register({ settings: otherModuleSettings, commandSchema });
+	 * on("chat:message", (apiCall) => { chatRouter.handle(apiCall).catch(err => { log(`${err}`); }); });
+	 *
+	 * @returns {Object} - A router with methods to register, unregister, list, handle messages, and run batches.
+	 */
+	function _createChatRouter() {
+
+		const routes = {};
+		const libSettings = this;
+		const maxBatchDepth = 3;
+
+		// Token buckets keyed by player, or by player, route, and command; kept in memory only
+		const buckets = {};
+
+		const playerRateLimit = (route) => {
+			return { ...moduleSettings.defaultRateLimit, ...(_getSharedVault().rateLimit || {}), ...(route.rateLimit || {}) };
+		};
+
+		// Takes a token if one is left; a refused call reports whether it is the first since the last success
+		const takeToken = ({ key, capacity, refillPerSecond }) => {
+			const now = Date.now();
+			const bucket = buckets[key] || { tokens: capacity, updated: now, isNotified: false };
+
+			bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updated) / 1000) * refillPerSecond);
+			bucket.updated = now;
+			buckets[key] = bucket;
+
+			if (bucket.tokens >= 1) {
+				bucket.tokens -= 1;
+				bucket.isNotified = false;
+
+				return { isAllowed: true };
+			}
+
+			const isFirstRefusal = !bucket.isNotified;
+			bucket.isNotified = true;
+
+			return { isAllowed: false, isFirstRefusal, waitSeconds: Math.ceil((1 - bucket.tokens) / refillPerSecond) };
+		};
+
+		// Returns `true` when the call may run; the first refusal is whispered and logged, later ones are silent
+		const checkRateLimit = async ({ settings, apiCall, key, limit, command }) => {
+			const capacity = Number(limit?.capacity);
+			const refillPerSecond = Number(limit?.refillPerSecond);
+
+			// A missing, disabled, or malformed limit does not block anyone
+			if (!limit || limit.enabled === false || !(capacity >= 1) || !(refillPerSecond > 0)) {
+				return true;
+			}
+
+			const { isAllowed, isFirstRefusal, waitSeconds } = takeToken({ key, capacity, refillPerSecond });
+
+			if (!isAllowed && isFirstRefusal) {
+				const player = getObj("player", apiCall.playerid);
+
+				_logSyslogMessage.call(settings, {
+					severity: 4,
+					code: "40000",
+					message: `${PhraseFactory.get({ code: "0x0F7B4C2A", args: { player: player?.get("_displayname") || apiCall.who, key } })}`
+				});
+
+				await _whisperAlertMessage.call(settings, {
+					apiCall,
+					severity: 4,
+					description: command
+						? `${PhraseFactory.get({ playerId: apiCall.playerid, code: "0x0C1E8D63", args: { command, seconds: waitSeconds } })}`
+						: `${PhraseFactory.get({ playerId: apiCall.playerid, code: "0x03D9A5E7", args: { seconds: waitSeconds } })}`,
+				});
+			}
+
+			return isAllowed;
+		};
+
+		// Takes a token from the player's bucket (or the route's, if it sets one) for a message, batch line, or command
+		const checkMessageRateLimit = async ({ route, apiCall }) => {
+			if (playerIsGM(apiCall.playerid)) {
+				return true;
+			}
+
+			return await checkRateLimit({
+				settings: route.settings,
+				apiCall,
+				key: route.rateLimit ? `${apiCall.playerid}:${route.settings.chatName}` : `${apiCall.playerid}`,
+				limit: playerRateLimit(route),
+			});
+		};
+
+		// A `rest` argument takes the rest of its command as typed, so quotes inside free text survive tokenizing
+		const takeRestArgument = ({ definition, args, quoted, tails }) => {
+			const restKeys = Object.keys(definition?.args || {})
+				.filter(argument => { return definition.args[argument].rest; })
+				.map(argument => { return `${argument}|`; });
+			const index = args.findIndex((arg, argIndex) => {
+				return restKeys.some(key => { return arg.startsWith(key) && `${tails[argIndex] || ""}`.startsWith(key); });
+			});
+
+			if (index < 0) {
+				return { args, quoted };
+			}
+
+			// One pair of quotes around the text belongs to the argument, not to the text
+			const key = restKeys.find(restKey => { return tails[index].startsWith(restKey); });
+			const text = tails[index].slice(key.length);
+			const wrapped = text.match(/^(["'])([\s\S]*)\1$/);
+
+			return {
+				args: [...args.slice(0, index), `${key}${wrapped ? wrapped[2] : text}`],
+				quoted: [...quoted.slice(0, index), Boolean(wrapped)],
+			};
+		};
+
+		// Builds the details every handler receives, once per message
+		const buildMsgDetails = async ({ settings, apiCall, decodeEntities = true }) => {
+			const thisPlayer = apiCall.playerid ? getObj("player", apiCall.playerid) : null;
+			const thisPlayerName = thisPlayer ? thisPlayer.get("_displayname") : "Unknown Player";
+			const thisPlayerIsGm = thisPlayer && playerIsGM(apiCall.playerid) ? true : false;
+
+			// Substitute inline roll totals (e.g. `--damage [[2d6]]`) before parsing; full details stay in `inlineRolls`
+			const msgDetails = {
+				raw: apiCall,
+				rawContent: apiCall.content,
+				commands: _parseChatCommands({
+					apiCallContent: _expandInlineRolls({ apiCall }),
+					asList: true,
+					decodeEntities,
+				}),
+				inlineRolls: apiCall.inlinerolls || [],
+				isFromGm: thisPlayerIsGm,
+				senderId: thisPlayer,
+				senderDisplayName: thisPlayerName.replace(/\(GM\)/g, "").trim(),
+				selectedIdsArray: (apiCall.selected || []).map(selected => { return selected._id; }),
+			};
+
+			// Repeated --ids are combined and replace the selected tokens
+			const idsCommands = msgDetails.commands.filter(({ command }) => { return command === "--ids"; });
+
+			if (idsCommands.length > 0) {
+				const { ids, invalid } = _resolveTokenSelectors({
+					selectors: idsCommands.flatMap(({ args }) => { return args; }),
+					playerId: apiCall.playerid,
+					isFromGm: thisPlayerIsGm,
+				});
+				msgDetails.selectedIdsArray = ids;
+				msgDetails.commands = msgDetails.commands.filter(({ command }) => { return command !== "--ids"; });
+
+				if (invalid.length > 0) {
+					await _whisperAlertMessage.call(settings, {
+						apiCall,
+						severity: 4,
+						description: `${PhraseFactory.get({ playerId: apiCall.playerid, code: "0x0E5B9D2C", args: { selectors: invalid.join(", ") } })}`,
+						remark: `${PhraseFactory.get({ playerId: apiCall.playerid, code: "0x06A3F1D8" })}`,
+					});
+				}
+			}
+
+			return msgDetails;
+		};
+
+		// Names an unknown command and offers the closest matches as buttons that rerun it with the same arguments
+		const alertUnknownCommand = async ({ settings, commandSchema, msgDetails, command, args }) => {
+			const playerId = msgDetails.raw.playerid;
+			const suggestions = commandSchema.suggest({ command, isFromGm: msgDetails.isFromGm });
+			const quotedArgs = args.map(arg => { return /[\s"'\\]/.test(arg) ? `"${arg.replace(/["\\]/g, "\\$&")}"` : arg; });
+
+			await _whisperAlertMessage.call(settings, {
+				apiCall: msgDetails.raw,
+				severity: 3,
+				description: `${PhraseFactory.get({ playerId, code: "0x06D5E2A1", args: { command } })}`,
+				remark: suggestions.length > 0
+					? `${PhraseFactory.get({ playerId, code: "0x0B3F9C47", args: { suggestions: suggestions.join(", ") } })}`
+					: `${PhraseFactory.get({ playerId, code: "0x00784CBE" })}`,
+				buttons: suggestions.map(suggestion => {
+					return { label: suggestion, command: [`!${settings.chatName}`, suggestion, ...quotedArgs].join(" ") };
+				}),
+			});
+		};
+
+		// Runs a message's commands in the order typed, then its --batch lines, and returns how many failed
+		const runCommands = async ({ route, msgDetails }) => {
+			const { settings, commandSchema, defaultCommand } = route;
+
+			// Extracted here rather than in `handle` so batch and macro lines may hold a --batch of their own
+			const batchCommands = msgDetails.commands.filter(({ command }) => { return command === "--batch"; });
+			msgDetails.commands = msgDetails.commands.filter(({ command }) => { return command !== "--batch"; });
+
+			const commands = msgDetails.commands.length > 0 || batchCommands.length > 0
+				? msgDetails.commands
+				: [{ command: defaultCommand, args: [] }];
+			let failures = 0;
+			let dispatched = 0;
+
+			for (const { command, args, quoted = [], tails = [] } of commands) {
+
+				// Aliases and prefixes resolve here
+				const commandName = commandSchema.resolve({ command });
+
+				if (!commandName) {
+
+					// A module without the default command simply ignores an empty message
+					if (msgDetails.commands.length > 0) {
+						await alertUnknownCommand({ settings, commandSchema, msgDetails, command, args });
+						failures++;
+					}
+					continue;
+				}
+
+				// The message paid for its first command; every further one takes a token of its own
+				if (dispatched > 0 && !await checkMessageRateLimit({ route, apiCall: msgDetails.raw })) {
+					failures++;
+					continue;
+				}
+				dispatched++;
+
+				const rateLimit = commandSchema.get({ command: commandName }).rateLimit;
+				if (rateLimit && !msgDetails.isFromGm) {
+					const isAllowed = await checkRateLimit({
+						settings,
+						apiCall: msgDetails.raw,
+						key: `${msgDetails.raw.playerid}:${settings.chatName}:${commandName}`,
+						limit: rateLimit,
+						command: commandName,
+					});
+
+					if (!isAllowed) {
+						failures++;
+						continue;
+					}
+				}
+
+				try {
+					const parseErrors = [];
+					const subcommands = takeRestArgument({ definition: commandSchema.get({ command: commandName }), args, quoted, tails });
+					const parsedArgs = _parseChatSubcommands.call(settings, { subcommands: subcommands.args, quoted: subcommands.quoted, errors: parseErrors });
+
+					// Conflicting arguments are reported like invalid ones rather than run with half of what was typed
+					if (parseErrors.length > 0) {
+						const playerId = msgDetails.raw.playerid;
+
+						await _whisperAlertMessage.call(settings, {
+							apiCall: msgDetails.raw,
+							severity: 3,
+							description: `${PhraseFactory.get({ playerId, code: "40000", args: { remark: commandName } })}`,
+							remark: parseErrors.map(error => { return PhraseFactory.get({ playerId, code: error.code, args: error.args }); }).join("\n"),
+						});
+						failures++;
+						continue;
+					}
+
+					failures += await commandSchema.dispatch({ msgDetails, command: commandName, parsedArgs, rawArgs: args });
+
+				} catch (err) {
+
+					// One module's failure should not take the whole sandbox down
+					_logSyslogMessage.call(settings, {
+						severity: 3,
+						code: "50000",
+						message: `${err}`
+					});
+
+					await _whisperAlertMessage.call(settings, {
+						apiCall: msgDetails.raw,
+						severity: 3,
+						description: `${PhraseFactory.get({ playerId: msgDetails.raw.playerid, code: "0x0B91E4A6", args: { modName: settings.modName, command } })}`,
+						remark: `${err?.message || err}`,
+					});
+					failures++;
+				}
+			}
+
+			if (batchCommands.length > 0) {
+				const batchArgs = batchCommands.flatMap(({ args }) => { return args; });
+				const onError = batchArgs.some(arg => { return /^onerror\|continue$/i.test(arg); }) ? "continue" : "stop";
+
+				failures += await router.runBatch({
+					msgDetails,
+					lines: batchArgs.filter(arg => { return !/^onerror\|/i.test(arg); }),
+					onError,
+					chatName: settings.chatName,
+				});
+			}
+
+			return failures;
+		};
+
+		const routeFor = (content) => {
+			const chatName = (`${content}`.match(/^!(\S+)/) || [])[1]?.toLowerCase();
+
+			return routes[chatName] || null;
+		};
+
+		const router = {
+
+			/**
+			 * Routes a module's `!chatName` commands to its command schema.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {Object} options.settings - The module's settings; `chatName` is the command prefix.
+			 * @param {Object} options.commandSchema - The schema from `_createCommandSchema` holding the module's commands.
+			 * @param {string} [options.defaultCommand="--menu"] - The command run when a message has none.
+			 * @param {Object} [options.rateLimit] - Overrides the per-player limit for this route, e.g. `{ capacity: 5, refillPerSecond: 0.5 }`.
+			 * @param {boolean} [options.decodeEntities=true] - Decode HTML entities in messages before parsing them.
+			 * @returns {number} - Returns `0` on success or `1` if another module already uses the chat name.
+			 */
+			register: ({ settings, commandSchema, defaultCommand = "--menu", rateLimit, decodeEntities = true }) => {
+				const chatName = `${settings.chatName}`.toLowerCase();
+				const existing = routes[chatName];
+
+				// A module may replace its own route, but never take over another module's prefix
+				if (existing && existing.settings.modName !== settings.modName) {
+					_logSyslogMessage.call(settings, {
+						severity: 3,
+						code: "40000",
+						message: `${PhraseFactory.get({ code: "0x05C3D8E2", args: { chatName, owner: existing.settings.modName, modName: settings.modName } })}`
+					});
+
+					return 1;
+				}
+
+				routes[chatName] = { settings, commandSchema, defaultCommand, rateLimit, decodeEntities };
+
+				_logSyslogMessage.call(settings, {
+					severity: 6,
+					code: "20000",
+					message: `${PhraseFactory.get({ code: "0x03A8E7D5", args: { chatName } })}`
+				});
+
+				return 0;
+			},
+
+			/**
+			 * Stops routing a chat name.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {string} options.chatName - The chat name to remove.
+			 * @returns {number} - Returns `0` if the route was removed or `1` if it was not registered.
+			 */
+			unregister: ({ chatName }) => {
+				const key = `${chatName}`.toLowerCase();
+
+				if (!routes[key]) {
+					return 1;
+				}
+				delete routes[key];
+
+				return 0;
+			},
+
+			/**
+			 * Lists the registered routes.
+			 *
+			 * @returns {Array<Object>} - Each route's `chatName`, `modName`, `version`, and command names.
+			 */
+			list: () => {
+				return Object.entries(routes).map(([chatName, { settings, commandSchema }]) => {
+					return {
+						chatName,
+						modName: settings.modName,
+						version: settings.version,
+						commands: commandSchema.list().map(({ command }) => { return command; }),
+					};
+				});
+			},
+
+			/**
+			 * Parses an API message and dispatches its commands to the matching route.
+			 *
+			 * @param {Object} apiCall - The Roll20 chat message.
+			 * @returns {Promise<number>} - Returns `0` when the message was handled or ignored, or `1` if a handler failed.
+			 */
+			handle: async (apiCall) => {
+				try {
+					if (apiCall.type !== "api") {
+						return 0;
+					}
+
+					// Messages for scripts that are not Easy modules are left alone
+					const route = routeFor(apiCall.content);
+					if (!route) {
+						return 0;
+					}
+
+					// Checked before parsing so a flood of messages costs as little sandbox time as possible
+					if (!await checkMessageRateLimit({ route, apiCall })) {
+						return 1;
+					}
+
+					const msgDetails = await buildMsgDetails({ settings: route.settings, apiCall, decodeEntities: route.decodeEntities });
+					const failures = await runCommands({ route, msgDetails });
+
+					return failures > 0 ? 1 : 0;
+				}
+				catch (err) {
+
+					// A failure here must not reach the listener, where it would go unreported
+					_logSyslogMessage.call(libSettings, {
+						severity: 3,
+						code: "50000",
+						message: `${err}`
+					});
+
+					return 1;
+				}
+			},
+
+			/**
+			 * Runs command lines one after another as if each had been typed by the sender, then whispers a summary.
+			 *
+			 * Lines that do not start with `!` are sent to `chatName`. Lines without `--ids` act on the same tokens 
+			 * as the original message. With `onError` "stop", the first line that fails ends the batch.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {Object} options.msgDetails - Message details of the message that started the batch.
+			 * @param {Array<string>} options.lines - The command lines.
+			 * @param {string} [options.onError="stop"] - "stop" or "continue".
+			 * @param {string} [options.chatName] - The chat name for lines without a `!` prefix.
+			 * @returns {Promise<number>} - The number of lines that failed.
+			 */
+			runBatch: async ({ msgDetails, lines, onError = "stop", chatName }) => {
+				const playerId = msgDetails.raw.playerid;
+				const depth = (msgDetails.batchDepth || 0) + 1;
+				const reportSettings = routes[`${chatName}`.toLowerCase()]?.settings || libSettings;
+
+				// Macros may run batches and other macros, but a macro that runs itself must not loop forever
+				if (depth > maxBatchDepth) {
+					await _whisperAlertMessage.call(reportSettings, {
+						apiCall: msgDetails.raw,
+						severity: 3,
+						description: `${PhraseFactory.get({ playerId, code: "0x06C8F3D1", args: { depth: maxBatchDepth } })}`,
+					});
+
+					return 1;
+				}
+
+				const failed = [];
+				let stoppedAt = null;
+
+				for (const [index, line] of lines.entries()) {
+					const text = `${line}`.trim();
+					const content = text.startsWith("!") ? text : `!${chatName} ${text}`;
+					const lineRoute = routeFor(content);
+					let lineFailures = 1;
+
+					const lineCall = {
+						...msgDetails.raw,
+						content,
+						selected: msgDetails.selectedIdsArray.map(_id => { return { _id }; }),
+					};
+
+					// Each line counts as a message, so a batch cannot run more than the player could type
+					if (lineRoute && await checkMessageRateLimit({ route: lineRoute, apiCall: lineCall })) {
+
+						// Lines were decoded with the message that carried them; decoding again would turn `&amp;lt;` into `<`
+						const lineDetails = await buildMsgDetails({ settings: lineRoute.settings, apiCall: lineCall, decodeEntities: false });
+						lineDetails.batchDepth = depth;
+						lineFailures = await runCommands({ route: lineRoute, msgDetails: lineDetails });
+					}
+
+					if (lineFailures > 0) {
+						failed.push(PhraseFactory.get({ playerId, code: "0x0E1B6A94", args: { line: index + 1, command: content } }));
+
+						if (onError !== "continue") {
+							stoppedAt = index + 1;
+							break;
+						}
+					}
+				}
+
+				const remarks = stoppedAt && stoppedAt < lines.length
+					? [...failed, PhraseFactory.get({ playerId, code: "0x04D7C2F8", args: { line: stoppedAt, skipped: lines.length - stoppedAt } })]
+					: failed;
+
+				await _whisperAlertMessage.call(reportSettings, {
+					apiCall: msgDetails.raw,
+					severity: failed.length > 0 ? 4 : 6,
+					description: `${PhraseFactory.get({ playerId, code: "0x0A9E3B71", args: { succeeded: (stoppedAt || lines.length) - failed.length, total: lines.length } })}`,
+					remark: remarks.join("\n"),
+				});
+
+				return failed.length;
+			},
+		};
+
+		return router;
+	}
+
+	// ANCHOR Function _createHistoryManager
+	/**
+	 * Creates the manager that records reversible changes made by Easy module commands.
+	 *
+	 * A handler starts an entry, tracks every Roll20 object or vault key it is about to change, makes its 
+	 * changes, and commits. Commit compares each tracked item with its snapshot and stores only what changed, 
+	 * so the shared vault holds a short before/after record per command. Each player can undo their latest 
+	 * entry and redo what they undid; a new entry clears that player's redo list. Before anything is restored 
+	 * the current values are checked against the entry, and the player is warned rather than overwriting 
+	 * changes made since, unless they force it.
+	 *
+	 * @example
+	 * const entry = historyManager.start({ settings: moduleSettings, msgDetails, label: "--flip" });
+	 * msgDetails.selectedIdsArray.forEach(id => { entry.trackObject({ type: "graphic", id }); });
+	 * // ...change the tokens...
+	 * entry.commit();
+	 *
+	 * @returns {Object} - A manager with methods to start entries, undo, redo, and list history.
+	 */
+	function _createHistoryManager() {
+
+		const libSettings = this;
+		const maxEntries = 50;
+
+		const getHistory = () => {
+			const vault = _getSharedVault();
+			if (!vault.history) {
+				vault.history = { nextId: 1, entries: [] };
+			}
+
+			return vault.history;
+		};
+
+		const clone = (value) => {
+			return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+		};
+
+		const isSame = (first, second) => {
+			return JSON.stringify(first) === JSON.stringify(second);
+		};
+
+		// Vault keys may be dotted paths, e.g. "EasyModule.settings.language"
+		const readVault = (key) => {
+			return `${key}`.split(".").reduce((value, part) => { return value?.[part]; }, _getSharedVault());
+		};
+
+		const writeVault = (key, value) => {
+			const parts = `${key}`.split(".");
+			const parent = parts.slice(0, -1).reduce((node, part) => {
+				if (typeof node[part] !== "object" || node[part] === null) {
+					node[part] = {};
+				}
+
+				return node[part];
+			}, _getSharedVault());
+
+			if (value === undefined) {
+				delete parent[parts[parts.length - 1]];
+			} else {
+				parent[parts[parts.length - 1]] = clone(value);
+			}
+		};
+
+		const snapshotObject = (type, id) => {
+			const obj = getObj(type, id);
+
+			return obj ? JSON.parse(JSON.stringify(obj)) : null;
+		};
+
+		// Read-only properties start with "_"; recreating an object needs a few of them without the prefix
+		const writableProps = (snapshot) => {
+			return Object.fromEntries(Object.entries(snapshot).filter(([key]) => { return !key.startsWith("_") && key !== "id"; }));
+		};
+
+		const creationProps = (snapshot) => {
+			return Object.fromEntries(Object.entries(snapshot)
+				.filter(([key]) => { return !["_id", "_type", "id"].includes(key); })
+				.map(([key, value]) => { return [key.replace(/^_/, ""), value]; }));
+		};
+
+		const describe = (change) => {
+			if (change.kind === "vault") {
+				return change.key;
+			}
+
+			return change.name || change.id;
+		};
+
+		// Lists what no longer matches the state the entry would be reversed from
+		const findConflicts = (entry, direction) => {
+			return entry.changes.filter(change => {
+				const expected = direction === "undo" ? change.after : change.before;
+
+				if (change.kind === "vault") {
+					return !isSame(readVault(change.key), expected);
+				}
+
+				const obj = getObj(change.type, change.id);
+				if (expected === null) {
+					return Boolean(obj);
+				}
+
+				// A recreated object keeps everything but its ID
+				return !obj || Object.keys(expected)
+					.filter(key => { return !["_id", "id"].includes(key); })
+					.some(key => { return !isSame(obj.get(key), expected[key]); });
+			}).map(describe);
+		};
+
+		// A recreated object gets a new ID; every stored change to the old object must follow it
+		const remapObjectId = ({ type, from, to }) => {
+			getHistory().entries.forEach(entry => {
+				entry.changes.forEach(change => {
+					if (change.kind === "object" && change.type === type && change.id === from) {
+						change.id = to;
+					}
+				});
+			});
+		};
+
+		const applyChange = (change, direction) => {
+			const target = direction === "undo" ? change.before : change.after;
+			const source = direction === "undo" ? change.after : change.before;
+
+			if (change.kind === "vault") {
+				writeVault(change.key, target);
+
+				return;
+			}
+
+			const obj = getObj(change.type, change.id);
+			if (target === null) {
+				obj?.remove();
+
+				return;
+			}
+
+			if (source === null) {
+				const created = createObj(change.type, creationProps(target));
+				if (created?.id) {
+					remapObjectId({ type: change.type, from: change.id, to: created.id });
+				}
+
+				return;
+			}
+
+			obj?.set(writableProps(target));
+		};
+
+		const alert = async ({ msgDetails, severity = 6, code, args, remark = "", buttons = [] }) => {
+			await _whisperAlertMessage.call(libSettings, {
+				apiCall: msgDetails.raw,
+				severity,
+				description: `${PhraseFactory.get({ playerId: msgDetails.raw.playerid, code, args })}`,
+				remark,
+				buttons,
+			});
+		};
+
+		// Undo and redo share everything except which snapshot they restore
+		const reverse = async ({ msgDetails, direction, entryId, force = false }) => {
+			const playerId = msgDetails.raw.playerid;
+			const entries = getHistory().entries;
+			const wantUndone = direction === "redo";
+
+			// Undo takes the player's newest entry and redo the oldest one undone, so each retraces the other
+			const isCandidate = (candidate) => { return candidate.playerId === playerId && candidate.undone === wantUndone; };
+			const entry = entryId !== undefined
+				? entries.find(candidate => { return candidate.id === Number(entryId); })
+				: (wantUndone ? entries.find(isCandidate) : [...entries].reverse().find(isCandidate));
+
+			if (!entry || entry.undone !== wantUndone) {
+				await alert({ msgDetails, severity: 4, code: direction === "undo" ? "0x0B4D8E17" : "0x06F2A9C3" });
+
+				return 1;
+			}
+
+			// Other players' entries are only reachable by GMs, through an explicit entry ID
+			if (entry.playerId !== playerId && !msgDetails.isFromGm) {
+				await alert({ msgDetails, severity: 3, code: "0x0A3E7B2D" });
+
+				return 1;
+			}
+
+			const conflicts = findConflicts(entry, direction);
+			if (conflicts.length > 0 && !force) {
+				await alert({
+					msgDetails,
+					severity: 4,
+					code: "0x0E6C1F59",
+					args: { label: entry.label, targets: conflicts.join(", ") },
+					buttons: [{
+						label: PhraseFactory.get({ playerId, code: direction === "undo" ? "0x02A8D4F6" : "0x0D9B3C71" }),
+						command: `!${libSettings.chatName} --${direction} entry|${entry.id} force|true`,
+					}],
+				});
+
+				return 1;
+			}
+
+			const ordered = direction === "undo" ? [...entry.changes].reverse() : entry.changes;
+			ordered.forEach(change => { applyChange(change, direction); });
+			entry.undone = direction === "undo";
+
+			await alert({
+				msgDetails,
+				code: direction === "undo" ? "0x0C5F2A84" : "0x07E9B6D2",
+				args: { label: entry.label, count: entry.changes.length },
+			});
+
+			return 0;
+		};
+
+		const manager = {
+
+			/**
+			 * Starts a history entry for a command.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {Object} options.settings - The settings of the module making the change.
+			 * @param {Object} options.msgDetails - Message details from the chat router.
+			 * @param {string} options.label - What the entry is called in the history, e.g. the command.
+			 * @returns {Object} - An entry with `trackObject`, `trackCreated`, `trackVault`, and `commit`.
+			 */
+			start: ({ settings, msgDetails, label }) => {
+				const tracked = [];
+				const isTracked = (match) => {
+					return tracked.some(item => { return Object.entries(match).every(([key, value]) => { return item[key] === value; }); });
+				};
+
+				const entry = {
+
+					// Snapshot an existing object before changing or removing it
+					trackObject: ({ type, id }) => {
+						if (!isTracked({ kind: "object", type, id })) {
+							tracked.push({ kind: "object", type, id, before: snapshotObject(type, id) });
+						}
+
+						return entry;
+					},
+
+					// Record an object the command has just created, so undo removes it
+					trackCreated: ({ type, id }) => {
+						if (!isTracked({ kind: "object", type, id })) {
+							tracked.push({ kind: "object", type, id, before: null });
+						}
+
+						return entry;
+					},
+
+					// Snapshot a shared vault key before changing it
+					trackVault: ({ key }) => {
+						if (!isTracked({ kind: "vault", key })) {
+							tracked.push({ kind: "vault", key, before: clone(readVault(key)) });
+						}
+
+						return entry;
+					},
+
+					// Store what changed; returns the entry ID, or null when nothing did
+					commit: () => {
+						const changes = tracked.map(item => {
+							if (item.kind === "vault") {
+								const after = clone(readVault(item.key));
+
+								return isSame(item.before, after) ? null : { kind: "vault", key: item.key, before: item.before, after };
+							}
+
+							const after = snapshotObject(item.type, item.id);
+							const name = (after || item.before)?.name;
+							if (item.before === null || after === null) {
+								return item.before === after ? null : { ...item, name, after };
+							}
+
+							// Keep only the properties that changed
+							const keys = [...new Set([...Object.keys(item.before), ...Object.keys(after)])]
+								.filter(key => { return !isSame(item.before[key], after[key]); });
+
+							return keys.length === 0 ? null : {
+								...item,
+								name,
+								before: Object.fromEntries(keys.map(key => { return [key, item.before[key]]; })),
+								after: Object.fromEntries(keys.map(key => { return [key, after[key]]; })),
+							};
+						}).filter(Boolean);
+
+						if (changes.length === 0) {
+							return null;
+						}
+
+						const history = getHistory();
+						const playerId = msgDetails.raw.playerid;
+						const id = history.nextId++;
+
+						// A new change makes the player's undone entries impossible to redo
+						history.entries = history.entries
+							.filter(candidate => { return !(candidate.playerId === playerId && candidate.undone); })
+							.concat({
+								id,
+								playerId,
+								playerName: msgDetails.senderDisplayName,
+								modName: settings.modName,
+								label,
+								time: Date.now(),
+								undone: false,
+								changes,
+							})
+							.slice(-maxEntries);
+
+						return id;
+					},
+				};
+
+				return entry;
+			},
+
+			/**
+			 * Reverses the sender's latest entry, or a given entry.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {Object} options.msgDetails - Message details from the chat router.
+			 * @param {number} [options.entryId] - A specific entry; another player's entries need a GM.
+			 * @param {boolean} [options.force=false] - Restore even if the targets changed since.
+			 * @returns {Promise<number>} - Returns `0` on success or `1` if nothing was undone.
+			 */
+			undo: async ({ msgDetails, entryId, force = false }) => {
+				return reverse({ msgDetails, direction: "undo", entryId, force });
+			},
+
+			/**
+			 * Reapplies the sender's latest undone entry, or a given entry.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {Object} options.msgDetails - Message details from the chat router.
+			 * @param {number} [options.entryId] - A specific entry; another player's entries need a GM.
+			 * @param {boolean} [options.force=false] - Reapply even if the targets changed since.
+			 * @returns {Promise<number>} - Returns `0` on success or `1` if nothing was redone.
+			 */
+			redo: async ({ msgDetails, entryId, force = false }) => {
+				return reverse({ msgDetails, direction: "redo", entryId, force });
+			},
+
+			/**
+			 * Whispers the most recent entries, newest first, with undo buttons.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {Object} options.msgDetails - Message details from the chat router.
+			 * @param {number} [options.count=10] - How many entries to show.
+			 * @returns {Promise<number>} - Returns `0`.
+			 */
+			list: async ({ msgDetails, count = 10 }) => {
+				const playerId = msgDetails.raw.playerid;
+				const recent = getHistory().entries.slice(-count).reverse();
+
+				await alert({
+					msgDetails,
+					code: "0x09D1E6B8",
+					args: { count: recent.length },
+					remark: recent.map(entry => {
+						return PhraseFactory.get({
+							playerId,
+							code: entry.undone ? "0x04B7F3E2" : "0x0F3A5C96",
+							args: {
+								id: entry.id,
+								time: new Date(entry.time).toISOString().slice(11, 19),
+								player: entry.playerName,
+								label: entry.label,
+								modName: entry.modName,
+								count: entry.changes.length,
+							},
+						});
+					}).join("\n"),
+					buttons: recent.map(entry => {
+						const direction = entry.undone ? "redo" : "undo";
+
+						return {
+							label: PhraseFactory.get({ playerId, code: entry.undone ? "0x08C2E5A7" : "0x05D7A1F3", args: { id: entry.id } }),
+							command: `!${libSettings.chatName} --${direction} entry|${entry.id}`,
+						};
+					}),
+				});
+
+				return 0;
+			},
+		};
+
+		return manager;
+	}
+
+	// ANCHOR Function _createPhraseFactory
+	/**
+	 * Creates a factory for managing localized phrases.
+	 *
+	 * Initializes phrases only for the currently set language and provides methods
+	 * to retrieve, add, update, and remove phrases. Supports dynamic content in phrases.
+	 *
+	 * Phrases are organized per language and accessed via the global state.
+	 *
+	 * @returns {Object} - A factory with methods to manage phrases.
+	 */
+	function _createPhraseFactory() {
+		const defaultLanguage = this.phraseLanguage;
+	
+		// Default phrases with {{ ... }} placeholders
 		const defaultPhrases = {
 			enUS: {
 				"0": "Success",
@@ -1172,6 +4065,16 @@ const EASY_LIB_UTILITIES = (() => {
 				"60000": "Information: {{remark}}",
 				"70000": "Debug: {{remark}}",
 				"0x0CBDE1DE": "Error: Failure parsing HTML. Verify HTML is well formed with nested opening and closing tags.",
+				"0x0E3B7A19": "HTML: <{{tag}}> at line {{line}}, column {{column}} is never closed.",
+				"0x04C9F1B3": "HTML: </{{tag}}> at line {{line}}, column {{column}} has no matching opening tag and was ignored.",
+				"0x0B5E2D47": "HTML: the comment at line {{line}}, column {{column}} is never closed.",
+				"0x09D2A8F5": "HTML: <{{tag}}> at line {{line}}, column {{column}} is missing its closing '>'.",
+				"0x07A4C6E1": "HTML: the value of '{{tag}}' at line {{line}}, column {{column}} is missing its closing quote.",
+				"0x0A5D3E86": "CSS: the selector '{{selector}}' is not supported and was skipped.",
+				"0x0F2C6B84": "Unknown sanitizer profile '{{profile}}'; using chat.",
+				"0x06B9E3D2": "Adjusted {{count}} items for Roll20 {{profile}}: {{changes}}",
+				"0x0D8A4F27": "HTML output is {{bytes}} bytes.",
+				"0x0B2E7F4C": "Conflicting Argument: '{{argument}}' is both a value and a group of dotted keys; the later use was ignored.",
 				"0x026DAC9E": "Not Found: Could not find '{{aRequestedFunc}}' available from {{globalName}}.",
 				"0x081AD87E": "Invalid Arguments: When adding new phrases, 'language' must be a string and 'newPhrases' an object.",
 				"0x0E9FE4D0": "Invalid Arguments: When adding new phrases, '{{key}}' must be a function.",
@@ -1184,6 +4087,82 @@ const EASY_LIB_UTILITIES = (() => {
 				"0x0B672E77": "warning",
 				"0x0758A77E": "information",
 				"0x000058E0": "tip",
+				"0x03B6FF6E": "Missing required argument '{{argument}}' for {{command}}.",
+				"0x0F4A1E2D": "Argument '{{argument}}' for {{command}} expects a {{type}}, received '{{value}}'.",
+				"0x0D1A7C44": "Argument '{{argument}}' for {{command}} must be one of: {{allowed}}.",
+				"0x01C9A3B5": "Unknown argument '{{argument}}' for {{command}}.",
+				"0x0E27D0F1": "The command {{command}} can only be used by the GM.",
+				"0x07F3A9C2": "Invalid Arguments: The command '{{name}}' must define a 'handler' function.",
+				"0x0C2A5F7E": "{{modName}} Commands",
+				"0x0B7D2E19": "required",
+				"0x05F1C8A3": "default: {{value}}",
+				"0x0E8C41B6": "one of: {{allowed}}",
+				"0x09E4B6D0": "Example: {{example}}",
+				"0x0A61D3F4": "GM only",
+				"0x06D5E2A1": "Unrecognized command '{{command}}'.",
+				"0x0B3F9C47": "Did you mean one of these? {{suggestions}}",
+				"0x04E1B7C9": "aliases: {{aliases}}",
+				"0x0C7B21E5": "The command {{command}} needs a token or character you control; select one or pass --ids.",
+				"0x02D9F6A8": "You do not control {{targets}}.",
+				"0x0A4E8D13": "Permission denied for {{command}}.",
+				"0x0D6F3B92": "{{player}} was refused {{command}}: {{reason}}",
+				"0x03E5A7C1": "your tokens only",
+				"0x09B2C4F7": "Unknown permission '{{permission}}' for '{{name}}'; treating it as GM only.",
+				"0x0E5B9D2C": "Unrecognized token selectors: {{selectors}}",
+				"0x06A3F1D8": "Use @page, @name:<glob>, @layer:<layer>, @represents:<character>, @controlledby:me, or @bar1<op><number>, joined with + to combine.",
+				"0x0B91E4A6": "{{modName}} failed while running {{command}}.",
+				"0x05C3D8E2": "The chat name !{{chatName}} is already used by {{owner}}; {{modName}} was not registered.",
+				"0x03A8E7D5": "Listening for !{{chatName}} commands.",
+				"0x0D48B1EA": "Easy-LibUtils shared services are unavailable; make sure Easy-LibUtils finished loading.",
+				"0x0F27A6B4": "Easy modules listening for commands: {{count}}",
+				"0x08D4C1F9": "{{modName}} v{{version}}: !{{chatName}} ({{commands}})",
+				"0x0A7C3E51": "Step {{number}}",
+				"0x01F8D2B6": "Back",
+				"0x0C4E9A73": "Cancel",
+				"0x07B5E1C8": "Answer",
+				"0x05A2E8C3": "An answer is required.",
+				"0x0D3A9B62": "Please enter a number.",
+				"0x0F6A2C95": "Please pick one of the offered choices.",
+				"0x04E7B9D1": "This wizard could not continue and was ended.",
+				"0x0C8B3E14": "The wizard '{{name}}' has no step '{{step}}'; the session was ended.",
+				"0x0E9D4F26": "This wizard has expired or already finished.",
+				"0x03C6A8E4": "This wizard belongs to another player.",
+				"0x06E1C5A7": "The wizard timed out; start it again to continue.",
+				"0x0B2F7D19": "Wizard cancelled.",
+				"0x02B8F4E0": "Unknown wizard '{{name}}'.",
+				"0x09C7D1F3": "Invalid Arguments: The wizard '{{name}}' must define its first step.",
+				"0x0C61F8A2": "Unknown button format '{{format}}'; using html.",
+				"0x0A9E3B71": "Batch finished: {{succeeded}} of {{total}} lines succeeded.",
+				"0x0E1B6A94": "Line {{line}} failed: {{command}}",
+				"0x04D7C2F8": "Stopped at line {{line}}; {{skipped}} lines were skipped.",
+				"0x06C8F3D1": "Batches and macros can only be nested {{depth}} levels deep.",
+				"0x08A1F5B3": "Saved macros: {{count}}",
+				"0x0C3B8D5E": "{{name}} ({{count}} lines)",
+				"0x0F6E2B48": "Use --macro save <name> \"<command>\"..., --macro run <name>, --macro list, or --macro delete <name>.",
+				"0x01E4A9C7": "Macro names may only use letters, numbers, - and _.",
+				"0x05B9E0A2": "A macro needs at least one quoted command line, each starting with !.",
+				"0x0B5A2E76": "Saved macro {{name}} with {{count}} lines.",
+				"0x03F9D6C4": "Deleted macro {{name}}.",
+				"0x0D2C7E85": "No macro named {{name}}.",
+				"0x0B4D8E17": "Nothing to undo.",
+				"0x06F2A9C3": "Nothing to redo.",
+				"0x0A3E7B2D": "Only the GM can reverse another player's changes.",
+				"0x0E6C1F59": "{{label}} was not reversed because these changed since: {{targets}}",
+				"0x02A8D4F6": "Undo anyway",
+				"0x0D9B3C71": "Redo anyway",
+				"0x0C5F2A84": "Undid {{label}} ({{count}} changes).",
+				"0x07E9B6D2": "Redid {{label}} ({{count}} changes).",
+				"0x09D1E6B8": "Recent changes: {{count}}",
+				"0x0F3A5C96": "#{{id}} {{time}} {{player}}: {{label}} in {{modName}} ({{count}} changes)",
+				"0x04B7F3E2": "#{{id}} {{time}} {{player}}: {{label}} in {{modName}} ({{count}} changes, undone)",
+				"0x03D9A5E7": "You are sending commands too quickly. Try again in {{seconds}} s.",
+				"0x0C1E8D63": "You are using {{command}} too quickly. Try again in {{seconds}} s.",
+				"0x0F7B4C2A": "Rate limit reached for {{player}} ({{key}}); further calls are dropped until it refills.",
+				"0x0E4D7B18": "Players may send {{capacity}} commands in a burst, regaining {{refillPerSecond}} per second.",
+				"0x0A8F1C35": "Player rate limits are off.",
+				"0x0B6A2E94": "The capacity must be at least 1 and the refill greater than 0.",
+				"0x05D7A1F3": "Undo #{{id}}",
+				"0x08C2E5A7": "Redo #{{id}}",
 			},
 			frFR: {
 				"0": "Succès",
@@ -1198,6 +4177,16 @@ const EASY_LIB_UTILITIES = (() => {
 				"60000": "Information : {{remark}}",
 				"70000": "Débogage : {{remark}}",
 				"0x0CBDE1DE": "Erreur : Échec de l'analyse du HTML. Vérifiez que le HTML est bien formé avec des balises d'ouverture et de fermeture imbriquées.",
+				"0x0E3B7A19": "HTML : <{{tag}}> à la ligne {{line}}, colonne {{column}} n'est jamais fermé.",
+				"0x04C9F1B3": "HTML : </{{tag}}> à la ligne {{line}}, colonne {{column}} n'a pas de balise d'ouverture correspondante et a été ignoré.",
+				"0x0B5E2D47": "HTML : le commentaire à la ligne {{line}}, colonne {{column}} n'est jamais fermé.",
+				"0x09D2A8F5": "HTML : il manque le '>' final de <{{tag}}> à la ligne {{line}}, colonne {{column}}.",
+				"0x07A4C6E1": "HTML : il manque le guillemet fermant de la valeur de '{{tag}}' à la ligne {{line}}, colonne {{column}}.",
+				"0x0A5D3E86": "CSS : le sélecteur '{{selector}}' n'est pas pris en charge et a été ignoré.",
+				"0x0F2C6B84": "Profil de nettoyage inconnu '{{profile}}' ; chat est utilisé.",
+				"0x06B9E3D2": "{{count}} éléments ajustés pour Roll20 {{profile}} : {{changes}}",
+				"0x0D8A4F27": "La sortie HTML fait {{bytes}} octets.",
+				"0x0B2E7F4C": "Argument en conflit : '{{argument}}' est à la fois une valeur et un groupe de clés pointées ; la seconde utilisation a été ignorée.",
 				"0x026DAC9E": "Introuvable : Impossible de trouver '{{aRequestedFunc}}' disponible depuis {{globalName}}.",
 				"0x081AD87E": "Arguments invalides : Lors de l'ajout de nouvelles phrases, 'language' doit être une chaîne et 'newPhrases' un objet.",
 				"0x0E9FE4D0": "Arguments invalides : Lors de l'ajout de nouvelles phrases, '{{key}}' doit être une fonction.",
@@ -1210,6 +4199,82 @@ const EASY_LIB_UTILITIES = (() => {
 				"0x0B672E77": "avertissement",
 				"0x0758A77E": "information",
 				"0x000058E0": "conseil",
+				"0x03B6FF6E": "Argument obligatoire '{{argument}}' manquant pour {{command}}.",
+				"0x0F4A1E2D": "L'argument '{{argument}}' de {{command}} attend un {{type}}, reçu '{{value}}'.",
+				"0x0D1A7C44": "L'argument '{{argument}}' de {{command}} doit être l'un de : {{allowed}}.",
+				"0x01C9A3B5": "Argument inconnu '{{argument}}' pour {{command}}.",
+				"0x0E27D0F1": "La commande {{command}} est réservée au MJ.",
+				"0x07F3A9C2": "Arguments invalides : La commande '{{name}}' doit définir une fonction 'handler'.",
+				"0x0C2A5F7E": "Commandes de {{modName}}",
+				"0x0B7D2E19": "obligatoire",
+				"0x05F1C8A3": "par défaut : {{value}}",
+				"0x0E8C41B6": "parmi : {{allowed}}",
+				"0x09E4B6D0": "Exemple : {{example}}",
+				"0x0A61D3F4": "MJ uniquement",
+				"0x06D5E2A1": "Commande non reconnue '{{command}}'.",
+				"0x0B3F9C47": "Vouliez-vous dire l'une de celles-ci ? {{suggestions}}",
+				"0x04E1B7C9": "alias : {{aliases}}",
+				"0x0C7B21E5": "La commande {{command}} nécessite un jeton ou un personnage que vous contrôlez ; sélectionnez-en un ou utilisez --ids.",
+				"0x02D9F6A8": "Vous ne contrôlez pas {{targets}}.",
+				"0x0A4E8D13": "Permission refusée pour {{command}}.",
+				"0x0D6F3B92": "{{player}} s'est vu refuser {{command}} : {{reason}}",
+				"0x03E5A7C1": "vos jetons uniquement",
+				"0x09B2C4F7": "Permission inconnue '{{permission}}' pour '{{name}}' ; elle est traitée comme réservée au MJ.",
+				"0x0E5B9D2C": "Sélecteurs de jetons non reconnus : {{selectors}}",
+				"0x06A3F1D8": "Utilisez @page, @name:<motif>, @layer:<calque>, @represents:<personnage>, @controlledby:me ou @bar1<op><nombre>, reliés par + pour les combiner.",
+				"0x0B91E4A6": "{{modName}} a échoué lors de l'exécution de {{command}}.",
+				"0x05C3D8E2": "Le nom de chat !{{chatName}} est déjà utilisé par {{owner}} ; {{modName}} n'a pas été enregistré.",
+				"0x03A8E7D5": "À l'écoute des commandes !{{chatName}}.",
+				"0x0D48B1EA": "Les services partagés d'Easy-LibUtils sont indisponibles ; vérifiez qu'Easy-LibUtils a fini de se charger.",
+				"0x0F27A6B4": "Modules Easy à l'écoute des commandes : {{count}}",
+				"0x08D4C1F9": "{{modName}} v{{version}} : !{{chatName}} ({{commands}})",
+				"0x0A7C3E51": "Étape {{number}}",
+				"0x01F8D2B6": "Retour",
+				"0x0C4E9A73": "Annuler",
+				"0x07B5E1C8": "Répondre",
+				"0x05A2E8C3": "Une réponse est requise.",
+				"0x0D3A9B62": "Veuillez saisir un nombre.",
+				"0x0F6A2C95": "Veuillez choisir l'une des options proposées.",
+				"0x04E7B9D1": "Cet assistant n'a pas pu continuer et a été arrêté.",
+				"0x0C8B3E14": "L'assistant '{{name}}' n'a pas d'étape '{{step}}' ; la session a été arrêtée.",
+				"0x0E9D4F26": "Cet assistant a expiré ou est déjà terminé.",
+				"0x03C6A8E4": "Cet assistant appartient à un autre joueur.",
+				"0x06E1C5A7": "L'assistant a expiré ; relancez-le pour continuer.",
+				"0x0B2F7D19": "Assistant annulé.",
+				"0x02B8F4E0": "Assistant inconnu '{{name}}'.",
+				"0x09C7D1F3": "Arguments invalides : l'assistant '{{name}}' doit définir sa première étape.",
+				"0x0C61F8A2": "Format de bouton inconnu '{{format}}' ; html est utilisé.",
+				"0x0A9E3B71": "Lot terminé : {{succeeded}} lignes sur {{total}} réussies.",
+				"0x0E1B6A94": "La ligne {{line}} a échoué : {{command}}",
+				"0x04D7C2F8": "Arrêt à la ligne {{line}} ; {{skipped}} lignes ont été ignorées.",
+				"0x06C8F3D1": "Les lots et macros ne peuvent être imbriqués que sur {{depth}} niveaux.",
+				"0x08A1F5B3": "Macros enregistrées : {{count}}",
+				"0x0C3B8D5E": "{{name}} ({{count}} lignes)",
+				"0x0F6E2B48": "Utilisez --macro save <nom> \"<commande>\"..., --macro run <nom>, --macro list ou --macro delete <nom>.",
+				"0x01E4A9C7": "Les noms de macro ne peuvent contenir que des lettres, des chiffres, - et _.",
+				"0x05B9E0A2": "Une macro nécessite au moins une ligne de commande entre guillemets, commençant chacune par !.",
+				"0x0B5A2E76": "Macro {{name}} enregistrée avec {{count}} lignes.",
+				"0x03F9D6C4": "Macro {{name}} supprimée.",
+				"0x0D2C7E85": "Aucune macro nommée {{name}}.",
+				"0x0B4D8E17": "Rien à annuler.",
+				"0x06F2A9C3": "Rien à rétablir.",
+				"0x0A3E7B2D": "Seul le MJ peut annuler les modifications d'un autre joueur.",
+				"0x0E6C1F59": "{{label}} n'a pas été inversé car ces éléments ont changé depuis : {{targets}}",
+				"0x02A8D4F6": "Annuler quand même",
+				"0x0D9B3C71": "Rétablir quand même",
+				"0x0C5F2A84": "{{label}} annulé ({{count}} modifications).",
+				"0x07E9B6D2": "{{label}} rétabli ({{count}} modifications).",
+				"0x09D1E6B8": "Modifications récentes : {{count}}",
+				"0x0F3A5C96": "#{{id}} {{time}} {{player}} : {{label}} dans {{modName}} ({{count}} modifications)",
+				"0x04B7F3E2": "#{{id}} {{time}} {{player}} : {{label}} dans {{modName}} ({{count}} modifications, annulé)",
+				"0x03D9A5E7": "Vous envoyez des commandes trop rapidement. Réessayez dans {{seconds}} s.",
+				"0x0C1E8D63": "Vous utilisez {{command}} trop rapidement. Réessayez dans {{seconds}} s.",
+				"0x0F7B4C2A": "Limite atteinte pour {{player}} ({{key}}) ; les appels suivants sont ignorés jusqu'à la recharge.",
+				"0x0E4D7B18": "Les joueurs peuvent envoyer {{capacity}} commandes d'affilée et en récupèrent {{refillPerSecond}} par seconde.",
+				"0x0A8F1C35": "Les limites par joueur sont désactivées.",
+				"0x0B6A2E94": "La capacité doit être d'au moins 1 et la recharge supérieure à 0.",
+				"0x05D7A1F3": "Annuler #{{id}}",
+				"0x08C2E5A7": "Rétablir #{{id}}",
 			},
 		};
 	
@@ -1274,7 +4339,7 @@ const EASY_LIB_UTILITIES = (() => {
 				const template = currentLangPhrases[code] || fallbackLangPhrases[code];
 	
 				if (typeof template === "string") {
-					return _replacePlaceholders(template, args);
+					return _replacePlaceholders({ string: template, tokens: args });
 				}
 	
 				return code; // Return the code if the phrase is missing
@@ -1460,8 +4525,9 @@ const EASY_LIB_UTILITIES = (() => {
 		const defaultTemplateMap = {
 			"default": (data) => {
 
+				// Rows are built as markup and placed in a raw HTML node, so escape the data they show
 				const tableRows = Object.entries(data)
-					.map(([key, value]) => { return `<tr><td>${key}</td><td>${value}</td></tr>`; })
+					.map(([key, value]) => { return `<tr><td>${_escapeHtml({ text: key })}</td><td>${_escapeHtml({ text: value })}</td></tr>`; })
 					.join("");
 
 				return `[
@@ -1479,139 +4545,7 @@ const EASY_LIB_UTILITIES = (() => {
 					},
 					"children": [
 					{
-						"element": "thead",
-						"props": {
-						"style": {},
-						"class": [],
-						"id": null,
-						"inlineStyle": {}
-						},
-						"children": [
-						{
-							"element": "tr",
-							"props": {
-							"style": {},
-							"class": [],
-							"id": null,
-							"inlineStyle": {}
-							},
-							"children": [
-							{
-								"element": "th",
-								"props": {
-								"style": {},
-								"class": [],
-								"id": null,
-								"inlineStyle": {
-									"padding": "8px",
-									"text-align": "left"
-								}
-								},
-								"children": [
-								{
-									"element": "text",
-									"children": [
-									{
-										"innerText": "Key"
-									}
-									],
-									"childIndex": 1
-								}
-								],
-								"childIndex": 1
-							},
-							{
-								"element": "th",
-								"props": {
-								"style": {},
-								"class": [],
-								"id": null,
-								"inlineStyle": {
-									"padding": "8px",
-									"text-align": "left"
-								}
-								},
-								"children": [
-								{
-									"element": "text",
-									"children": [
-									{
-										"innerText": "Value"
-									}
-									],
-									"childIndex": 1
-								}
-								],
-								"childIndex": 2
-							}
-							],
-							"childIndex": 1
-						}
-						],
-						"childIndex": 1
-					},
-					{
-						"element": "tbody",
-						"props": {
-						"style": {},
-						"class": [],
-						"id": null,
-						"inlineStyle": {}
-						},
-						"children": [
-						{
-							"element": "text",
-							"children": [
-							{
-								"innerText": "${tableRows}"
-							}
-							],
-							"childIndex": 1
-						}
-						],
-						"childIndex": 2
-					}
-					],
-					"childIndex": 1
-				}
-				]`;
-			},
-			"chatAlert": ({ title, description, command, remark }) => {
-				return `[
-				{
-					"element": "div",
-					"props": {
-					"style": {},
-					"class": [
-						"alert-message"
-					],
-					"id": null,
-					"inlineStyle": {}
-					},
-					"children": [
-					{
-						"element": "h3",
-						"props": {
-						"style": {},
-						"class": [],
-						"id": null,
-						"inlineStyle": {}
-						},
-						"children": [
-						{
-							"element": "text",
-							"children": [
-							{
-								"innerText": "${title}"
-							}
-							],
-							"childIndex": 1
-						}
-						],
-						"childIndex": 1
-					},
-					{
-						"element": "p",
+						"element": "thead",
 						"props": {
 						"style": {},
 						"class": [],
@@ -1620,54 +4554,70 @@ const EASY_LIB_UTILITIES = (() => {
 						},
 						"children": [
 						{
-							"element": "text",
+							"element": "tr",
+							"props": {
+							"style": {},
+							"class": [],
+							"id": null,
+							"inlineStyle": {}
+							},
 							"children": [
 							{
-								"innerText": "${description}"
-							}
-							],
-							"childIndex": 1
-						}
-						],
-						"childIndex": 2
-					},
-					{
-						"element": "div",
-						"props": {
-						"style": {},
-						"class": [
-							"alert-command"
-						],
-						"id": null,
-						"inlineStyle": {}
-						},
-						"children": [
-						{
-							"element": "p",
-							"props": {
+								"element": "th",
+								"props": {
 								"style": {},
 								"class": [],
 								"id": null,
-								"inlineStyle": {}
+								"inlineStyle": {
+									"padding": "8px",
+									"text-align": "left"
+								}
+								},
+								"children": [
+								{
+									"element": "text",
+									"children": [
+									{
+										"innerText": "Key"
+									}
+									],
+									"childIndex": 1
+								}
+								],
+								"childIndex": 1
 							},
-							"children": [
 							{
-								"element": "text",
+								"element": "th",
+								"props": {
+								"style": {},
+								"class": [],
+								"id": null,
+								"inlineStyle": {
+									"padding": "8px",
+									"text-align": "left"
+								}
+								},
 								"children": [
 								{
-									"innerText": "${command}"
+									"element": "text",
+									"children": [
+									{
+										"innerText": "Value"
+									}
+									],
+									"childIndex": 1
 								}
 								],
-								"childIndex": 1
+								"childIndex": 2
 							}
 							],
 							"childIndex": 1
 						}
 						],
-						"childIndex": 3
+						"childIndex": 1
 					},
 					{
-						"element": "p",
+						"element": "tbody",
 						"props": {
 						"style": {},
 						"class": [],
@@ -1676,21 +4626,49 @@ const EASY_LIB_UTILITIES = (() => {
 						},
 						"children": [
 						{
-							"element": "text",
+							"element": "rawHtml",
 							"children": [
 							{
-								"innerText": "${remark}"
+								"innerHtml": ${JSON.stringify(tableRows)}
 							}
 							],
 							"childIndex": 1
 						}
 						],
-						"childIndex": 4
+						"childIndex": 2
 					}
 					],
 					"childIndex": 1
 				}
 				]`;
+			},
+			"chatAlert": ({ title, description, command, remark, buttons = [] }) => {
+
+				// Content arrives pre-escaped from _whisperAlertMessage; buttons are built by _createChatButton and follow the remark
+				const buttonsHtml = buttons.length > 0 ? `<div class="alert-buttons">${buttons.join(" ")}</div>` : "";
+
+				return _convertHtmlToJson({ html: `<div class="alert-message"><h3>${title}</h3><p>${description}</p><div class="alert-command"><p>${command}</p></div><p>${remark}</p>${buttonsHtml}</div>` });
+			},
+			"commandMenu": ({ title, description, commands = [] }) => {
+
+				// Content arrives pre-escaped from _renderCommandMenu; each command becomes a block with its button
+				const commandsHtml = commands.map(({ button, summary, argLines = [], examples = [] }) => {
+					const argsHtml = argLines.length > 0
+						? `<ul>${argLines.map(line => { return `<li>${line}</li>`; }).join("")}</ul>`
+						: "";
+					const examplesHtml = examples.map(example => { return `<p class="menu-example">${example}</p>`; }).join("");
+
+					return `<div class="menu-command">${button}<p>${summary}</p>${argsHtml}${examplesHtml}</div>`;
+				}).join("");
+
+				const descriptionHtml = description ? `<p>${description}</p>` : "";
+
+				return _convertHtmlToJson({ html: `<div class="menu-card"><h3>${title}</h3>${descriptionHtml}${commandsHtml}</div>` });
+			},
+			"wizardPrompt": ({ title, prompt, remark, buttons = [] }) => {
+
+				// Content arrives pre-escaped and buttons built by the wizard manager; styled by the "chatAlert" theme
+				return _convertHtmlToJson({ html: `<div class="alert-message"><h3>${title}</h3><p>${prompt}</p><p>${remark}</p><div class="alert-buttons">${buttons.join(" ")}</div></div>` });
 			}
 		};
 
@@ -1836,6 +4814,18 @@ const EASY_LIB_UTILITIES = (() => {
 					}
 				},
 				"classes": {
+					".easy-button": {
+					"styles": {
+						"display": "inline-block",
+						"margin": "2px 2px 0 0",
+						"padding": "2px 6px",
+						"border-radius": "5px",
+						"background-color": "var(--alert-title-color)",
+						"color": "#ffffff",
+						"font-family": "monospace"
+					},
+					"children": {}
+					},
 					".alert-message": {
 					"styles": {
 						"border": "1px solid black",
@@ -1855,6 +4845,12 @@ const EASY_LIB_UTILITIES = (() => {
 						"font-family": "monospace"
 					},
 					"children": {}
+					},
+					".alert-buttons": {
+					"styles": {
+						"margin-top": "5px"
+					},
+					"children": {}
 					}
 				},
 				"attributes": {},
@@ -1874,6 +4870,90 @@ const EASY_LIB_UTILITIES = (() => {
 				},
 				"ids": {}
 				}`;
+			},
+			"commandMenu": ({ bgColor, titleColor }) => {
+				return `{
+				"universal": {},
+				"elements": {
+					"h3": {
+					"styles": {
+						"color": "var(--menu-title-color)",
+						"margin": "0 0 5px 0",
+						"font-size": "1.2em"
+					},
+					"children": {}
+					},
+					"p": {
+					"styles": {
+						"margin": "2px 0",
+						"overflow-wrap": "break-word"
+					},
+					"children": {}
+					},
+					"ul": {
+					"styles": {
+						"margin": "2px 0",
+						"padding-left": "15px",
+						"font-size": "0.9em"
+					},
+					"children": {}
+					}
+				},
+				"classes": {
+					".easy-button": {
+					"styles": {
+						"display": "inline-block",
+						"margin": "2px 0",
+						"padding": "2px 6px",
+						"border-radius": "5px",
+						"background-color": "var(--menu-title-color)",
+						"color": "#ffffff",
+						"font-family": "monospace"
+					},
+					"children": {}
+					},
+					".menu-card": {
+					"styles": {
+						"border": "1px solid black",
+						"background-color": "var(--menu-bg)",
+						"padding": "5px 10px",
+						"border-radius": "10px"
+					},
+					"children": {}
+					},
+					".menu-command": {
+					"styles": {
+						"margin": "5px 0",
+						"padding-top": "5px",
+						"border-top": "var(--menu-divider)"
+					},
+					"children": {}
+					},
+					".menu-example": {
+					"styles": {
+						"font-family": "monospace",
+						"font-size": "0.9em",
+						"color": "#555555"
+					},
+					"children": {}
+					}
+				},
+				"attributes": {},
+				"functions": {
+					":root": [
+					{
+						"target": null,
+						"args": [],
+						"styles": {
+						"--menu-bg": "${bgColor}",
+						"--menu-title-color": "${titleColor}",
+						"--menu-divider": "1px solid #cccccc"
+						}
+					}
+					]
+				},
+				"ids": {}
+				}`;
 			}
 		};
 
@@ -1909,60 +4989,407 @@ const EASY_LIB_UTILITIES = (() => {
 			},
 
 			/**
-			 * Replaces all current themes with a new set.
+			 * Replaces all current themes with a new set.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {Object<string, Function>} options.newMap - A map of theme names to theme functions.
+			 */
+			set: ({ newMap }) => {
+				Object.keys(themes).forEach(key => { return delete themes[key]; });
+				Object.assign(themes, newMap);
+			},
+
+			/**
+			 * Adds or updates specific themes in the factory.
+			 *
+			 * New themes must be provided as functions, which will generate CSS styles dynamically.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {Object<string, Function>} options.newThemes - The new themes to add or update.
+			 * @throws {Error} If any theme is not a function.
+			 */
+			add: ({ newThemes }) => {
+				if (typeof newThemes !== "object" || newThemes === null) {
+
+					_logSyslogMessage.call(moduleSettings, {
+						severity: 3,
+						code: "40000",
+						message: `${PhraseFactory.get({ code: "0x0A8E5CFE" })}`
+					});
+
+				}
+
+				Object.entries(newThemes).forEach(([name, themeFunction]) => {
+					if (typeof themeFunction !== "function") {
+
+						_logSyslogMessage.call(moduleSettings, {
+							severity: 3,
+							code: "40000",
+							message: `${PhraseFactory.get({ code: "0x0AA3C5BE", params: [name] })}`
+						});
+					}
+
+					themes[name] = themeFunction;
+				});
+			},
+
+			/**
+			 * Removes a specific theme by name from the factory.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {string} [options.theme] - The name of the theme to remove.
+			 */
+			remove: ({ theme } = {}) => {
+				delete themes[theme];
+			}
+		};
+	}
+
+	// ANCHOR Function _createWizardManager
+	/**
+	 * Creates the manager that runs multi-step chat wizards for every Easy module.
+	 *
+	 * A wizard is a set of named steps. Each step whispers a prompt to one player with a button per choice, 
+	 * or a single button that asks for typed input through a `?{query}`, plus Back and Cancel buttons. The 
+	 * buttons call `!ezlibutils --wizard` with the session token, and the answer is checked and stored before 
+	 * the step's `next` (a step name, or a function of the answer and all answers so far) picks the following 
+	 * step. A step with `choices` only accepts one of them. When there is no next step the wizard completes; a 
+	 * `next` naming a step that does not exist is logged and ends the session with reason "error".
+	 *
+	 * Sessions live in the shared vault so they survive a sandbox restart; wizard definitions hold functions 
+	 * and live in memory, so modules register them again on start-up. A session that is not answered within 
+	 * `timeoutSeconds` ends with reason "timeout" when next touched.
+	 *
+	 * Typed answers are substituted into the button's command by Roll20 and cannot be escaped, so the button 
+	 * sends them last as `input|"..."`, a `rest` argument of `--wizard` that keeps them exactly as typed.
+	 *
+	 * @example
+	 * wizardManager.register({
+	 *   settings: moduleSettings,
+	 *   name: "npc",
+	 *   title: "Create an NPC",
+	 *   firstStep: "name",
+	 *   steps: {
+	 *     name: { prompt: "What is the NPC called?", next: "kind" },
+	 *     kind: {
+	 *       prompt: (answers) => { return `What kind of creature is ${answers.name}?`; },
+	 *       choices: [{ label: "Beast", value: "beast" }, { label: "Humanoid", value: "humanoid" }],
+	 *       next: (answer) => { return answer === "beast" ? "size" : null; },
+	 *     },
+	 *     size: { prompt: "How many hit dice?", input: "number", validate: (answer) => { return answer < 1 ? "At least 1." : null; } },
+	 *   },
+	 *   onComplete: (answers, context) => { log(answers); },
+	 * });
+	 *
+	 * @returns {Object} - A manager with methods to register, start, and answer wizards.
+	 */
+	function _createWizardManager() {
+
+		const wizards = {};
+		const libSettings = this;
+
+		// Sessions are plain data so Roll20 can persist them in state
+		const getSessions = () => {
+			const vault = _getSharedVault();
+			if (!vault.wizardSessions) {
+				vault.wizardSessions = {};
+			}
+
+			return vault.wizardSessions;
+		};
+
+		// Steps may compute prompts and choices from earlier answers
+		const resolveValue = (value, answers) => {
+			return typeof value === "function" ? value(answers) : value;
+		};
+
+		const whisperNotice = async ({ apiCall, severity, code, args }) => {
+			await _whisperAlertMessage.call(libSettings, {
+				apiCall,
+				severity,
+				description: `${PhraseFactory.get({ playerId: apiCall.playerid, code, args })}`,
+			});
+		};
+
+		const promptStep = async ({ session, remark = "" }) => {
+			const wizard = wizards[session.wizardKey];
+			const step = wizard.steps[session.step];
+			const { answers, playerId } = session;
+			const baseCommand = `!${libSettings.chatName} --wizard token|${session.token}`;
+
+			// Answers are quoted so spaces survive the command parser
+			const quote = (value) => { return `"${`${value}`.replace(/["\\]/g, "\\$&")}"`; };
+			const choices = resolveValue(step.choices, answers) || [];
+			const prompt = `${resolveValue(step.prompt, answers) || ""}`;
+
+			const buttons = choices.length > 0
+				? choices.map(({ label, value }) => {
+					return { label: `${label}`, command: `${baseCommand} answer|${quote(value ?? label)}` };
+				})
+				: [{
+					label: PhraseFactory.get({ playerId, code: "0x07B5E1C8" }),
+					command: `${baseCommand} input|"{{answer}}"`,
+					queries: { answer: { prompt: prompt || "?" } },
+				}];
+
+			if (session.history.length > 0) {
+				buttons.push({ label: PhraseFactory.get({ playerId, code: "0x01F8D2B6" }), command: `${baseCommand} action|back` });
+			}
+			buttons.push({ label: PhraseFactory.get({ playerId, code: "0x0C4E9A73" }), command: `${baseCommand} action|cancel` });
+
+			const message = await _renderTemplate({
+				template: "wizardPrompt",
+				content: {
+
+					// Prompt text is interpolated into HTML, so escape anything supplied by the wizard
+					title: _escapeHtml({ text: wizard.title }),
+					prompt: _escapeHtml({ text: prompt }),
+					remark: _escapeHtml({ text: remark || PhraseFactory.get({ playerId, code: "0x0A7C3E51", args: { number: session.history.length + 1 } }) }),
+					buttons: buttons.map(({ label, command, queries }) => { return _createChatButton.call(libSettings, { label, command, queries }); }),
+				},
+				theme: "chatAlert",
+				palette: { bgColor: "#b8defd", titleColor: "#2516f5" },
+			});
+
+			_whisperPlayerMessage.call(wizard.settings, { to: `"${session.playerName}"`, message });
+		};
+
+		// Removes a session and tells its wizard why it ended
+		const endSession = async ({ session, reason }) => {
+			delete getSessions()[session.token];
+
+			const wizard = wizards[session.wizardKey];
+			const context = { playerId: session.playerId, playerName: session.playerName, reason };
+			const callback = reason === "complete" ? wizard?.onComplete : wizard?.onCancel;
+
+			if (typeof callback === "function") {
+				await callback({ ...session.answers }, context);
+			}
+		};
+
+		// Expired sessions are only noticed when the manager is used, as the sandbox has no reliable timers
+		const sweepExpired = async () => {
+			for (const session of Object.values(getSessions())) {
+				if (Date.now() > session.expiresAt) {
+					await endSession({ session, reason: "timeout" });
+				}
+			}
+		};
+
+		const manager = {
+
+			/**
+			 * Registers a wizard for a module, replacing any wizard of the same name.
+			 *
+			 * @param {Object} options - The options object.
+			 * @param {Object} options.settings - The module's settings; prompts are whispered as the module.
+			 * @param {string} options.name - The wizard name, unique within the module.
+			 * @param {string} [options.title] - The title shown on every prompt. Defaults to the name.
+			 * @param {string} options.firstStep - The name of the first step.
+			 * @param {Object<string, Object>} options.steps - Steps with `prompt`, optional `choices`, `input` ("text" 
+			 * or "number"), `validate`, and `next`.
+			 * @param {Function} [options.onComplete] - Called with the answers and a context when the wizard finishes.
+			 * @param {Function} [options.onCancel] - Called with the answers and a context on cancel, timeout, or error.
+			 * @param {number} [options.timeoutSeconds=600] - Idle time before a session expires.
+			 * @returns {number} - Returns `0` on success or `1` if the first step is not defined.
+			 */
+			register: ({ settings, name, title, firstStep, steps = {}, onComplete, onCancel, timeoutSeconds = 600 }) => {
+				if (!steps[firstStep]) {
+					_logSyslogMessage.call(settings, {
+						severity: 3,
+						code: "40000",
+						message: `${PhraseFactory.get({ code: "0x09C7D1F3", args: { name } })}`
+					});
+
+					return 1;
+				}
+
+				const wizardKey = `${settings.chatName}:${name}`.toLowerCase();
+				wizards[wizardKey] = { settings, name, title: title || name, firstStep, steps, onComplete, onCancel, timeoutSeconds };
+
+				return 0;
+			},
+
+			/**
+			 * Starts a wizard for the sender of a message and whispers the first prompt.
 			 *
 			 * @param {Object} options - The options object.
-			 * @param {Object<string, Function>} options.newMap - A map of theme names to theme functions.
+			 * @param {Object} options.settings - The module's settings.
+			 * @param {string} options.name - The wizard name.
+			 * @param {Object} options.msgDetails - Message details from the chat router.
+			 * @param {Object} [options.answers={}] - Answers to start with, e.g. values already given on the command line.
+			 * @returns {Promise<string|null>} - The session token, or `null` if the wizard is not registered.
 			 */
-			set: ({ newMap }) => {
-				Object.keys(themes).forEach(key => { return delete themes[key]; });
-				Object.assign(themes, newMap);
+			start: async ({ settings, name, msgDetails, answers = {} }) => {
+				await sweepExpired();
+
+				const wizardKey = `${settings.chatName}:${name}`.toLowerCase();
+				const wizard = wizards[wizardKey];
+				const playerId = msgDetails.raw.playerid;
+
+				if (!wizard) {
+					await whisperNotice({ apiCall: msgDetails.raw, severity: 3, code: "0x02B8F4E0", args: { name } });
+
+					return null;
+				}
+
+				// A player runs one session per wizard; starting again abandons the previous one
+				const sessions = getSessions();
+				for (const session of Object.values(sessions)) {
+					if (session.wizardKey === wizardKey && session.playerId === playerId) {
+						await endSession({ session, reason: "restart" });
+					}
+				}
+
+				let token;
+				do {
+					token = Math.random().toString(36).slice(2, 10);
+				} while (sessions[token]);
+
+				sessions[token] = {
+					token,
+					wizardKey,
+					playerId,
+					playerName: msgDetails.senderDisplayName,
+					step: wizard.firstStep,
+					history: [],
+					answers: { ...answers },
+					expiresAt: Date.now() + wizard.timeoutSeconds * 1000,
+				};
+
+				await promptStep({ session: sessions[token] });
+
+				return token;
 			},
 
 			/**
-			 * Adds or updates specific themes in the factory.
-			 *
-			 * New themes must be provided as functions, which will generate CSS styles dynamically.
+			 * Applies a player's answer, or a back or cancel action, to a session and prompts for what comes next.
 			 *
 			 * @param {Object} options - The options object.
-			 * @param {Object<string, Function>} options.newThemes - The new themes to add or update.
-			 * @throws {Error} If any theme is not a function.
+			 * @param {string} options.token - The session token from the prompt's buttons.
+			 * @param {string} [options.answer] - The answer to the current step; the value of a choice, or typed text.
+			 * @param {string} [options.action] - "back" or "cancel".
+			 * @param {Object} options.msgDetails - Message details from the chat router.
+			 * @returns {Promise<number>} - Returns `0` when the session advanced or ended, or `1` if it could not be used.
 			 */
-			add: ({ newThemes }) => {
-				if (typeof newThemes !== "object" || newThemes === null) {
+			answer: async ({ token, answer, action, msgDetails }) => {
+				const playerId = msgDetails.raw.playerid;
+				const session = getSessions()[token];
 
-					_logSyslogMessage.call(moduleSettings, {
+				if (!session || !wizards[session.wizardKey]) {
+					if (session) {
+						delete getSessions()[token];
+					}
+					await whisperNotice({ apiCall: msgDetails.raw, severity: 4, code: "0x0E9D4F26" });
+
+					return 1;
+				}
+
+				// Only the player who started a wizard may answer it, GMs included
+				if (session.playerId !== playerId) {
+					await whisperNotice({ apiCall: msgDetails.raw, severity: 3, code: "0x03C6A8E4" });
+
+					return 1;
+				}
+
+				if (Date.now() > session.expiresAt) {
+					await endSession({ session, reason: "timeout" });
+					await whisperNotice({ apiCall: msgDetails.raw, severity: 4, code: "0x06E1C5A7" });
+
+					return 1;
+				}
+
+				await sweepExpired();
+
+				const wizard = wizards[session.wizardKey];
+				session.expiresAt = Date.now() + wizard.timeoutSeconds * 1000;
+
+				if (action === "cancel") {
+					await endSession({ session, reason: "cancel" });
+					await whisperNotice({ apiCall: msgDetails.raw, severity: 6, code: "0x0B2F7D19" });
+
+					return 0;
+				}
+
+				if (action === "back") {
+					if (session.history.length > 0) {
+						session.step = session.history.pop();
+					}
+					await promptStep({ session });
+
+					return 0;
+				}
+
+				const step = wizard.steps[session.step];
+				const text = `${answer ?? ""}`;
+				const choices = resolveValue(step.choices, session.answers) || [];
+				let value = text;
+
+				// Typed text is stored as typed; surrounding spaces only matter when checking it
+				if (text.trim() === "") {
+					await promptStep({ session, remark: PhraseFactory.get({ playerId, code: "0x05A2E8C3" }) });
+
+					return 0;
+				}
+
+				// Buttons can be copied and edited, so a step with choices accepts nothing else
+				if (choices.length > 0) {
+					const choice = choices.find(({ label, value: choiceValue }) => { return `${choiceValue ?? label}` === text.trim(); });
+
+					if (!choice) {
+						await promptStep({ session, remark: PhraseFactory.get({ playerId, code: "0x0F6A2C95" }) });
+
+						return 0;
+					}
+					value = choice.value ?? choice.label;
+				} else if (step.input === "number") {
+					value = Number(text);
+
+					if (!Number.isFinite(value)) {
+						await promptStep({ session, remark: PhraseFactory.get({ playerId, code: "0x0D3A9B62" }) });
+
+						return 0;
+					}
+				}
+
+				const problem = typeof step.validate === "function" ? step.validate(value, { ...session.answers }) : null;
+				if (problem) {
+					await promptStep({ session, remark: `${problem}` });
+
+					return 0;
+				}
+
+				session.answers[session.step] = value;
+				const nextStep = typeof step.next === "function" ? step.next(value, { ...session.answers }) : step.next;
+
+				if (!nextStep) {
+					await endSession({ session, reason: "complete" });
+
+					return 0;
+				}
+
+				// A misspelled step is a bug in the wizard, not the end of it
+				if (!Object.prototype.hasOwnProperty.call(wizard.steps, nextStep)) {
+					_logSyslogMessage.call(wizard.settings, {
 						severity: 3,
 						code: "40000",
-						message: `${PhraseFactory.get({ code: "0x0A8E5CFE" })}`
+						message: `${PhraseFactory.get({ code: "0x0C8B3E14", args: { name: wizard.name, step: nextStep } })}`
 					});
+					await endSession({ session, reason: "error" });
+					await whisperNotice({ apiCall: msgDetails.raw, severity: 3, code: "0x04E7B9D1" });
 
+					return 1;
 				}
 
-				Object.entries(newThemes).forEach(([name, themeFunction]) => {
-					if (typeof themeFunction !== "function") {
-
-						_logSyslogMessage.call(moduleSettings, {
-							severity: 3,
-							code: "40000",
-							message: `${PhraseFactory.get({ code: "0x0AA3C5BE", params: [name] })}`
-						});
-					}
+				session.history.push(session.step);
+				session.step = nextStep;
+				await promptStep({ session });
 
-					themes[name] = themeFunction;
-				});
+				return 0;
 			},
-
-			/**
-			 * Removes a specific theme by name from the factory.
-			 *
-			 * @param {Object} options - The options object.
-			 * @param {string} [options.theme] - The name of the theme to remove.
-			 */
-			remove: ({ theme } = {}) => {
-				delete themes[theme];
-			}
 		};
+
+		return manager;
 	}
 
 	// ANCHOR Function _fetchUtilities
@@ -2011,13 +5438,163 @@ const EASY_LIB_UTILITIES = (() => {
 		return selectedUtilities;
 	}
 
+	// ANCHOR Function _registerChatRoute
+	/**
+	 * Registers the calling module's `!chatName` with the shared chat router.
+	 *
+	 * Modules call this instead of listening to `chat:message` themselves; the router parses each message once 
+	 * and dispatches it through `commandSchema` (see `_createChatRouter`).
+	 *
+	 * @example
+	 * const CommandSchema = Utils.CreateCommandSchema({ commands: commandDefinitions });
+	 * Utils.RegisterChatRoute({ commandSchema: CommandSchema });
+	 *
+	 * @param {Object} params - The parameters object.
+	 * @param {Object} params.commandSchema - The schema holding the module's commands.
+	 * @param {string} [params.defaultCommand="--menu"] - The command run when a message has none.
+	 * @param {Object} [params.rateLimit] - Overrides the GM's per-player limit for this module, e.g. `{ capacity: 5, refillPerSecond: 0.5 }`.
+	 * @param {boolean} [params.decodeEntities=true] - Decode HTML entities in the module's messages before parsing them.
+	 * @returns {number} - Returns `0` on success or `1` if the route could not be registered.
+	 */
+	function _registerChatRoute({ commandSchema, defaultCommand = "--menu", rateLimit, decodeEntities = true }) {
+
+		const chatRouter = EASY_MODULE_FORGE.getFactory("ChatRouter");
+
+		if (!chatRouter) {
+			_logSyslogMessage.call(this, {
+				severity: 3,
+				code: "50000",
+				message: `${PhraseFactory.get({ code: "0x0D48B1EA" })}`
+			});
+
+			return 1;
+		}
+
+		return chatRouter.register({ settings: this, commandSchema, defaultCommand, rateLimit, decodeEntities });
+	}
+
+	// ANCHOR Function _registerWizard
+	/**
+	 * Registers a multi-step chat wizard for the calling module (see `_createWizardManager` for the step format).
+	 *
+	 * @example
+	 * Utils.RegisterWizard({
+	 *   name: "setup",
+	 *   firstStep: "language",
+	 *   steps: { language: { prompt: "Which language?", choices: [{ label: "English", value: "enUS" }] } },
+	 *   onComplete: (answers) => { log(answers.language); },
+	 * });
+	 *
+	 * @param {Object} params - The wizard definition, without `settings`.
+	 * @returns {number} - Returns `0` on success or `1` if the wizard could not be registered.
+	 */
+	function _registerWizard(params) {
+
+		const wizardManager = EASY_MODULE_FORGE.getFactory("WizardManager");
+
+		if (!wizardManager) {
+			_logSyslogMessage.call(this, {
+				severity: 3,
+				code: "50000",
+				message: `${PhraseFactory.get({ code: "0x0D48B1EA" })}`
+			});
+
+			return 1;
+		}
+
+		return wizardManager.register({ ...params, settings: this });
+	}
+
+	// ANCHOR Function _renderCommandMenu
+	/**
+	 * Renders a styled help menu from the commands registered in a command schema.
+	 *
+	 * Lists each command with its description, arguments, and examples, and turns the command name into a 
+	 * Roll20 API button. Required arguments are added to the button as `?{query}` prompts, using a dropdown 
+	 * when the argument declares `allowed` values. GM-only commands are omitted unless the viewer is a GM.
+	 *
+	 * @example
+	 * const menuHtml = await _renderCommandMenu({ commandSchema, playerId: apiCall.playerid });
+	 * _whisperPlayerMessage({ to: "gm", message: menuHtml });
+	 *
+	 * @param {Object} options - Options for rendering the menu.
+	 * @param {Object} options.commandSchema - A schema created by `_createCommandSchema`.
+	 * @param {string} [options.playerId] - The Roll20 player ID used to localize the menu.
+	 * @param {boolean} [options.isFromGm=false] - Whether to include GM-only commands.
+	 * @param {string} [options.title] - The menu title. Defaults to the module name.
+	 * @param {string} [options.description=""] - Text shown under the title.
+	 * @returns {Promise<string>} - The rendered HTML string.
+	 */
+	async function _renderCommandMenu({ commandSchema, playerId, isFromGm = false, title, description = "" }) {
+
+		// Menu content is interpolated into HTML, so everything taken from definitions is escaped
+		const commands = commandSchema.list()
+			.filter(definition => { return !definition.hidden && (isFromGm || !definition.gmOnly); })
+			.map(({ command, description: summary = "", args = {}, aliases = [], examples = [], permission }) => {
+				const argEntries = Object.entries(args);
+
+				// Prompt for required arguments when the button is clicked; quotes keep spaces in the answer
+				const queries = {};
+				const queryArgs = argEntries
+					.filter(([, spec]) => { return spec.required; })
+					.map(([argument, spec]) => {
+						queries[argument] = { prompt: argument, options: spec.allowed };
+
+						return `${argument}|"{{${argument}}}"`;
+					});
+
+				const argLines = argEntries.map(([argument, spec]) => {
+					const details = [spec.multiple ? `${spec.type || "string"}[]` : spec.type || "string"];
+					if (spec.required) {
+						details.push(PhraseFactory.get({ playerId, code: "0x0B7D2E19" }));
+					}
+					if ("default" in spec) {
+						details.push(PhraseFactory.get({ playerId, code: "0x05F1C8A3", args: { value: `${spec.default}` } }));
+					}
+					if (Array.isArray(spec.allowed)) {
+						details.push(PhraseFactory.get({ playerId, code: "0x0E8C41B6", args: { allowed: spec.allowed.join(", ") } }));
+					}
+					const argDescription = spec.description ? ` - ${spec.description}` : "";
+
+					return _escapeHtml({ text: `${argument} (${details.join(", ")})${argDescription}` });
+				});
+
+				const permissionCode = { gm: "0x0A61D3F4", controller: "0x03E5A7C1" }[permission];
+				const gmNote = permissionCode ? ` (${PhraseFactory.get({ playerId, code: permissionCode })})` : "";
+				const aliasNote = aliases.length > 0
+					? ` (${PhraseFactory.get({ playerId, code: "0x04E1B7C9", args: { aliases: aliases.join(", ") } })})`
+					: "";
+
+				return {
+					button: _createChatButton.call(this, { label: command, command: [`!${this.chatName}`, command, ...queryArgs].join(" "), queries }),
+					summary: _escapeHtml({ text: `${summary}${gmNote}${aliasNote}` }),
+					argLines,
+					examples: examples.map(example => {
+						return _escapeHtml({ text: PhraseFactory.get({ playerId, code: "0x09E4B6D0", args: { example: `!${this.chatName} ${example}` } }) });
+					}),
+				};
+			});
+
+		return _renderTemplate({
+			template: "commandMenu",
+			content: {
+				title: _escapeHtml({ text: title || PhraseFactory.get({ playerId, code: "0x0C2A5F7E", args: { modName: this.modName } }) }),
+				description: _escapeHtml({ text: description }),
+				commands,
+			},
+			theme: "commandMenu",
+			palette: { bgColor: "#f7f7f7", titleColor: "#2516f5" },
+		});
+	}
+
 	// ANCHOR Function _renderTemplate
 	/**
 	 * Renders a template with a given theme and data.
 	 *
 	 * Asynchronously retrieves the specified template and theme, applies the theme's styles to the 
-	 * template, and injects the provided content into the template. The result is a fully rendered 
-	 * HTML string with inline styles.
+	 * template, and injects the provided content into the template. The styled result is limited to what 
+	 * Roll20 accepts for the target (see `_sanitizeHtmlJson`), giving a fully rendered HTML string with 
+	 * inline styles.
 	 *
 	 * @example
 	 * const renderedHtml = await _renderTemplate({
@@ -2033,9 +5610,10 @@ const EASY_LIB_UTILITIES = (() => {
 	 * @param {Object} options.content - Data to inject into the template.
 	 * @param {string} options.theme - The name of the theme to apply.
 	 * @param {Object} [options.palette] - Optional palette for dynamic theme customization.
+	 * @param {string} [options.profile="chat"] - Where the HTML will be shown: "chat" or "handout".
 	 * @returns {Promise<string>} - The rendered HTML string.
 	 */
-	async function _renderTemplate({ template, content, theme, palette }) {
+	async function _renderTemplate({ template, content, theme, palette, profile = "chat" }) {
 
 		// Fetch the specified template and theme concurrently
 		const [fetchedTemplate, fetchedTheme] = await Promise.all([
@@ -2049,13 +5627,80 @@ const EASY_LIB_UTILITIES = (() => {
 			htmlJson: fetchedTemplate
 		});
 
-		// Convert the styled JSON into an inline HTML string
-		const renderedHtml = _convertJsonToHtml({ htmlJson: styledJson });
+		// Keep only what Roll20 will display
+		const safeJson = _sanitizeHtmlJson.call(this, { htmlJson: styledJson, profile });
+
+		// Convert the styled JSON into an inline HTML string, as short as possible for the chat length limit
+		const renderedHtml = _convertJsonToHtml({ htmlJson: safeJson, compact: true });
 
 		// Return the fully rendered HTML string
 		return renderedHtml;
 	}
 
+	// ANCHOR Function _startHistoryEntry
+	/**
+	 * Starts an undoable history entry for a command of the calling module (see `_createHistoryManager`).
+	 *
+	 * @example
+	 * handler: (msgDetails) => {
+	 *   const entry = Utils.StartHistoryEntry({ msgDetails, label: "--flip" });
+	 *   msgDetails.selectedIdsArray.forEach(id => { entry.trackObject({ type: "graphic", id }); });
+	 *   // ...change the tokens...
+	 *   entry.commit();
+	 * }
+	 *
+	 * @param {Object} params - The parameters object.
+	 * @param {Object} params.msgDetails - Message details from the chat router.
+	 * @param {string} params.label - What the entry is called in the history.
+	 * @returns {Object|null} - The entry, or `null` if the history is unavailable.
+	 */
+	function _startHistoryEntry({ msgDetails, label }) {
+
+		const historyManager = EASY_MODULE_FORGE.getFactory("HistoryManager");
+
+		if (!historyManager) {
+			_logSyslogMessage.call(this, {
+				severity: 3,
+				code: "50000",
+				message: `${PhraseFactory.get({ code: "0x0D48B1EA" })}`
+			});
+
+			return null;
+		}
+
+		return historyManager.start({ settings: this, msgDetails, label });
+	}
+
+	// ANCHOR Function _startWizard
+	/**
+	 * Starts one of the calling module's wizards for the player who sent a command.
+	 *
+	 * @example
+	 * handler: async (msgDetails) => { await Utils.StartWizard({ name: "setup", msgDetails }); }
+	 *
+	 * @param {Object} params - The parameters object.
+	 * @param {string} params.name - The wizard name given to `_registerWizard`.
+	 * @param {Object} params.msgDetails - Message details from the chat router.
+	 * @param {Object} [params.answers={}] - Answers to start with.
+	 * @returns {Promise<string|null>} - The session token, or `null` if the wizard could not be started.
+	 */
+	async function _startWizard({ name, msgDetails, answers = {} }) {
+
+		const wizardManager = EASY_MODULE_FORGE.getFactory("WizardManager");
+
+		if (!wizardManager) {
+			_logSyslogMessage.call(this, {
+				severity: 3,
+				code: "50000",
+				message: `${PhraseFactory.get({ code: "0x0D48B1EA" })}`
+			});
+
+			return null;
+		}
+
+		return wizardManager.start({ settings: this, name, msgDetails, answers });
+	}
+
 	// ANCHOR Function _whisperAlertMessage
 	/**
 	 * Sends a styled alert message in chat to the player who issued a command.
@@ -2065,20 +5710,25 @@ const EASY_LIB_UTILITIES = (() => {
 	 * for localized and reusable messages.
 	 *
 	 * @param {Object} params - Parameters for the alert message.
-	 * @param {Object} params.apiCall - The Roll20 message object containing player and command details.
+	 * @param {Object} [params.apiCall] - The Roll20 message object containing player and command details.
+	 * @param {string} [params.from] - The sender's name. Defaults to the module name.
+	 * @param {string} [params.to] - The recipient. Defaults to the player who sent `apiCall`, otherwise "gm".
 	 * @param {number} params.severity - Numerical severity level (e.g., 7 for DEBUG, 6 for INFO).
+	 * @param {string} [params.title] - The alert title. Defaults to the localized severity name.
 	 * @param {string} params.description - A description of the alert.
 	 * @param {string} [params.remark] - Additional contextual remark for the alert.
-	 * @returns {Promise<string>} - The formatted alert message sent to the player.
+	 * @param {Array<{label: string, command: string, queries: Object}>} [params.buttons=[]] - Chat buttons shown below 
+	 * the remark (see `_createChatButton`).
+	 * @returns {Promise<number>} - Returns `0` on success or `1` if an error occurs.
 	 */
-	async function _whisperAlertMessage({ from, to, severity, title, description, remark }) {
+	async function _whisperAlertMessage({ apiCall, from, to, severity, title, description = "", remark = "", buttons = [] }) {
 	
 		// Define a unified severity configuration
 		const severityEnum = {
-			TIP: { code: 7, bgColor: "#C3FDB8", titleColor: "#16F529" },
-			INFO: { code: 6, bgColor: "#b8defd", titleColor: "#2516f5" },
-			WARNING: { code: 4, bgColor: "#FBE7A1", titleColor: "#CA762B" },
-			ERROR: { code: 3, bgColor: "#ffdddd", titleColor: "red" },
+			TIP: { code: 7, titleCode: "0x000058E0", bgColor: "#C3FDB8", titleColor: "#16F529" },
+			INFO: { code: 6, titleCode: "0x0758A77E", bgColor: "#b8defd", titleColor: "#2516f5" },
+			WARNING: { code: 4, titleCode: "0x0B672E77", bgColor: "#FBE7A1", titleColor: "#CA762B" },
+			ERROR: { code: 3, titleCode: "0x004A7742", bgColor: "#ffdddd", titleColor: "red" },
 		};
 	
 		// Create a lookup map for numeric and string severities
@@ -2093,13 +5743,24 @@ const EASY_LIB_UTILITIES = (() => {
 		const normalizedSeverity = typeof severity === "string" ? severity.toLowerCase() : severity;
 		const alertConfig = severityLookup[normalizedSeverity] || severityEnum.INFO;
 	
-		// Construct alert content
+		// Escape the text for the template, where spaces stay spaces and only newlines become markup
+		const toHtml = (text) => {
+			return _escapeHtml({ text }).replace(/\r?\n/g, "<br>");
+		};
+
+		// Construct alert content; the command is escaped too as it may contain quotes
 		const alertContent = {
-			title: title.toUpperCase(),
-			description: _encodeNoteContent({ text: description }),
-			command: apiCall.content,
-			remark: _encodeNoteContent({ text: remark }),
+			title: toHtml((title || PhraseFactory.get({ playerId: apiCall?.playerid, code: alertConfig.titleCode })).toUpperCase()),
+			description: toHtml(description),
+			command: toHtml(apiCall?.content || ""),
+			remark: toHtml(remark),
+			buttons: buttons.map(({ label, command, queries }) => {
+				return _createChatButton.call(this, { label, command, queries });
+			}),
 		};
+
+		// Reply to whoever issued the command unless a recipient was given
+		const recipient = to || (apiCall?.who ? `"${apiCall.who.replace(/\(GM\)/g, "").trim()}"` : "gm");
 	
 		// Palette for the alert message
 		const alertPalette = {
@@ -2118,10 +5779,9 @@ const EASY_LIB_UTILITIES = (() => {
 		try {
 
 			// Send the styled message to the player via whisper
-			// _whisperPlayerMessage({ from, to, message }
-			_whisperPlayerMessage({
-				from: `${from}`,
-				to: `${to}`,
+			_whisperPlayerMessage.call(this, {
+				from,
+				to: recipient,
 				message: styledMessage,
 			});
 
@@ -2151,12 +5811,245 @@ const EASY_LIB_UTILITIES = (() => {
 	 * SECTION PRIVATE FUNCTIONS                                                                                       *
 	*******************************************************************************************************************/
 
+	// ANCHOR commandDefinitions
+	/**
+	 * Commands answered by Easy-LibUtils itself under `!ezlibutils`.
+	 *
+	 * @type {Object<string, Object>}
+	 * @property {Object} --menu - Shows the library's commands.
+	 * @property {Object} --modules - Lists every Easy module registered with the chat router.
+	 * @property {Object} --wizard - Receives answers from wizard prompt buttons.
+	 * @property {Object} --macro - Saves, runs, lists, and deletes named sequences of Easy commands.
+	 * @property {Object} --undo - Reverses the sender's latest recorded change.
+	 * @property {Object} --redo - Reapplies the sender's latest undone change.
+	 * @property {Object} --history - Shows recent changes to the GM.
+	 * @property {Object} --ratelimit - Shows or sets how many commands each player may send.
+	 */
+	const commandDefinitions = {
+		"--menu": {
+			description: "Shows this menu of available commands.",
+			args: {},
+			handler: async (msgDetails) => {
+				const menu = await _renderCommandMenu.call(moduleSettings, {
+					commandSchema: CommandSchema,
+					playerId: msgDetails.raw.playerid,
+					isFromGm: msgDetails.isFromGm,
+				});
+
+				_whisperPlayerMessage.call(moduleSettings, { to: `"${msgDetails.senderDisplayName}"`, message: menu });
+			},
+		},
+		"--modules": {
+			description: "Lists the installed Easy modules and their chat commands.",
+			args: {},
+			handler: async (msgDetails) => {
+				const playerId = msgDetails.raw.playerid;
+				const routes = ChatRouter.list();
+
+				await _whisperAlertMessage.call(moduleSettings, {
+					apiCall: msgDetails.raw,
+					severity: 6,
+					description: `${PhraseFactory.get({ playerId, code: "0x0F27A6B4", args: { count: routes.length } })}`,
+					remark: routes.map(({ modName, version, chatName, commands }) => {
+						return PhraseFactory.get({ playerId, code: "0x08D4C1F9", args: { modName, version, chatName, commands: commands.join(", ") } });
+					}).join("\n"),
+					buttons: routes.map(({ chatName }) => { return { label: `!${chatName}`, command: `!${chatName}` }; }),
+				});
+			},
+		},
+		"--wizard": {
+			description: "Answers a step of a wizard; sent by the wizard's buttons.",
+			hidden: true,
+			args: {
+				token: { type: "string", required: true, description: "The wizard session token." },
+				answer: { type: "string", description: "The value of the chosen answer." },
+				input: { type: "string", rest: true, description: "Typed text; takes the rest of the command as typed." },
+				action: { type: "string", allowed: ["back", "cancel"], description: "Go back a step or cancel." },
+			},
+			handler: async (msgDetails, parsedArgs) => {
+				const { token, answer, input, action } = parsedArgs;
+
+				return WizardManager.answer({ token, answer: input ?? answer, action, msgDetails });
+			},
+		},
+		"--macro": {
+			description: "Saves, runs, lists, or deletes a named sequence of Easy commands kept in the shared vault.",
+			permission: "gm",
+			examples: [
+				"--macro save prep-combat \"!ezmod --tip\" \"!ezmod --info --ids @page\" onerror|continue",
+				"--macro run prep-combat",
+				"--macro list",
+				"--macro delete prep-combat",
+			],
+			handler: async (msgDetails, parsedArgs, rawArgs) => {
+				const playerId = msgDetails.raw.playerid;
+				const [action = "list", name = "", ...rest] = rawArgs;
+				const vault = _getSharedVault();
+				const macros = vault.macros || (vault.macros = {});
+				const alert = async ({ severity = 6, code, args, remark = "", buttons = [] }) => {
+					await _whisperAlertMessage.call(moduleSettings, {
+						apiCall: msgDetails.raw,
+						severity,
+						description: `${PhraseFactory.get({ playerId, code, args })}`,
+						remark,
+						buttons,
+					});
+				};
+
+				if (action.toLowerCase() === "list") {
+					const names = Object.keys(macros).sort();
+
+					await alert({
+						code: "0x08A1F5B3",
+						args: { count: names.length },
+						remark: names.map(macroName => {
+							return PhraseFactory.get({ playerId, code: "0x0C3B8D5E", args: { name: macroName, count: macros[macroName].lines.length } });
+						}).join("\n"),
+						buttons: names.map(macroName => { return { label: macroName, command: `!${moduleSettings.chatName} --macro run ${macroName}` }; }),
+					});
+
+					return 0;
+				}
+
+				if (!["save", "run", "delete"].includes(action.toLowerCase())) {
+					await alert({ severity: 4, code: "0x0F6E2B48" });
+
+					return 1;
+				}
+
+				// Names become part of button commands, so keep them to simple characters
+				if (!/^[\w-]+$/.test(name)) {
+					await alert({ severity: 3, code: "0x01E4A9C7" });
+
+					return 1;
+				}
+
+				const macroName = name.toLowerCase();
+
+				switch (action.toLowerCase()) {
+				case "save": {
+					const lines = rest.filter(arg => { return !/^onerror\|/i.test(arg); });
+					if (lines.length === 0 || lines.some(line => { return !line.trim().startsWith("!"); })) {
+						await alert({ severity: 3, code: "0x05B9E0A2" });
+
+						return 1;
+					}
+
+					const onError = rest.some(arg => { return /^onerror\|continue$/i.test(arg); }) ? "continue" : "stop";
+					macros[macroName] = { lines, onError, savedBy: playerId };
+					await alert({ code: "0x0B5A2E76", args: { name: macroName, count: lines.length } });
+
+					return 0;
+				}
+				case "delete":
+					if (!macros[macroName]) {
+						await alert({ severity: 4, code: "0x0D2C7E85", args: { name: macroName } });
+
+						return 1;
+					}
+					delete macros[macroName];
+					await alert({ code: "0x03F9D6C4", args: { name: macroName } });
+
+					return 0;
+				default: {
+					const macro = macros[macroName];
+					if (!macro) {
+						await alert({ severity: 4, code: "0x0D2C7E85", args: { name: macroName } });
+
+						return 1;
+					}
+
+					// An onerror flag given when running overrides the one saved with the macro
+					const override = rest.find(arg => { return /^onerror\|(stop|continue)$/i.test(arg); });
+					const failures = await ChatRouter.runBatch({
+						msgDetails,
+						lines: macro.lines,
+						onError: override ? override.split("|")[1].toLowerCase() : macro.onError,
+						chatName: moduleSettings.chatName,
+					});
+
+					return failures > 0 ? 1 : 0;
+				}
+				}
+			},
+		},
+		"--undo": {
+			description: "Reverses your latest change made by an Easy module command.",
+			args: {
+				entry: { type: "integer", description: "A history entry ID; GMs may undo anyone's entry." },
+				force: { type: "boolean", default: false, description: "Undo even if the targets changed since." },
+			},
+			handler: async (msgDetails, parsedArgs) => {
+				return HistoryManager.undo({ msgDetails, entryId: parsedArgs.entry, force: parsedArgs.force });
+			},
+		},
+		"--redo": {
+			description: "Reapplies your latest undone change.",
+			args: {
+				entry: { type: "integer", description: "A history entry ID; GMs may redo anyone's entry." },
+				force: { type: "boolean", default: false, description: "Redo even if the targets changed since." },
+			},
+			handler: async (msgDetails, parsedArgs) => {
+				return HistoryManager.redo({ msgDetails, entryId: parsedArgs.entry, force: parsedArgs.force });
+			},
+		},
+		"--history": {
+			description: "Shows the most recent changes made through Easy modules.",
+			permission: "gm",
+			args: {
+				count: { type: "integer", default: 10, description: "How many entries to show." },
+			},
+			handler: async (msgDetails, parsedArgs) => {
+				return HistoryManager.list({ msgDetails, count: parsedArgs.count });
+			},
+		},
+		"--ratelimit": {
+			description: "Shows or sets how many commands each player may send before waiting; GMs are never limited.",
+			permission: "gm",
+			args: {
+				capacity: { type: "integer", description: "Commands a player may send in a burst." },
+				refill: { type: "number", description: "Commands regained per second." },
+				enabled: { type: "boolean", description: "Turns the limit on or off." },
+			},
+			examples: ["--ratelimit capacity|10 refill|0.5", "--ratelimit enabled|false"],
+			handler: async (msgDetails, parsedArgs) => {
+				const playerId = msgDetails.raw.playerid;
+				const vault = _getSharedVault();
+				const current = { ...moduleSettings.defaultRateLimit, ...(vault.rateLimit || {}) };
+
+				if ((parsedArgs.capacity !== undefined && parsedArgs.capacity < 1) || (parsedArgs.refill !== undefined && parsedArgs.refill <= 0)) {
+					await _whisperAlertMessage.call(moduleSettings, {
+						apiCall: msgDetails.raw,
+						severity: 4,
+						description: `${PhraseFactory.get({ playerId, code: "0x0B6A2E94" })}`,
+					});
+
+					return 1;
+				}
+
+				vault.rateLimit = {
+					enabled: parsedArgs.enabled ?? current.enabled,
+					capacity: parsedArgs.capacity ?? current.capacity,
+					refillPerSecond: parsedArgs.refill ?? current.refillPerSecond,
+				};
+
+				await _whisperAlertMessage.call(moduleSettings, {
+					apiCall: msgDetails.raw,
+					severity: 6,
+					description: `${PhraseFactory.get({ playerId, code: vault.rateLimit.enabled ? "0x0E4D7B18" : "0x0A8F1C35", args: vault.rateLimit })}`,
+				});
+
+				return 0;
+			},
+		},
+	};
+
 	// ANCHOR Check Install
 	const checkInstall = () => {
 		try {
 
 			// Initialize factories
-			const phraseFactoryInit = _createPhraseFactory();
+			const phraseFactoryInit = _createPhraseFactory.call(moduleSettings);
 			phraseFactoryInit.init(this.phraseLanguage);
 
 			const templateFactoryInit = _createTemplateFactory();
@@ -2164,16 +6057,26 @@ const EASY_LIB_UTILITIES = (() => {
 
 			const themeFactoryInit = _createThemeFactory();
 			themeFactoryInit.init();
+
+			const chatRouterInit = _createChatRouter.call(moduleSettings);
+			const wizardManagerInit = _createWizardManager.call(moduleSettings);
+			const historyManagerInit = _createHistoryManager.call(moduleSettings);
 	
 			// Set the PhraseFactory into EASY_MODULE_FORGE
 			EASY_MODULE_FORGE.setFactory("PhraseFactory", phraseFactoryInit);
 			EASY_MODULE_FORGE.setFactory("TemplateFactory", templateFactoryInit);
 			EASY_MODULE_FORGE.setFactory("ThemeFactory", themeFactoryInit);
+			EASY_MODULE_FORGE.setFactory("ChatRouter", chatRouterInit);
+			EASY_MODULE_FORGE.setFactory("WizardManager", wizardManagerInit);
+			EASY_MODULE_FORGE.setFactory("HistoryManager", historyManagerInit);
 	
 			// Retrieve the factory using getFactory
 			PhraseFactory = EASY_MODULE_FORGE.getFactory("PhraseFactory");
 			TemplateFactory = EASY_MODULE_FORGE.getFactory("TemplateFactory");
 			ThemeFactory = EASY_MODULE_FORGE.getFactory("ThemeFactory");
+			ChatRouter = EASY_MODULE_FORGE.getFactory("ChatRouter");
+			WizardManager = EASY_MODULE_FORGE.getFactory("WizardManager");
+			HistoryManager = EASY_MODULE_FORGE.getFactory("HistoryManager");
 	
 			// Log the initialization
 			_logSyslogMessage.call(moduleSettings, {
@@ -2200,6 +6103,21 @@ const EASY_LIB_UTILITIES = (() => {
 
 		// NOTE Possibly more events to watch for in the future...
 
+		// The single chat listener for every Easy module; modules register routes instead of their own listeners
+		on("chat:message", (apiCall) => {
+			ChatRouter.handle(apiCall).catch(err => {
+				_logSyslogMessage.call(moduleSettings, {
+					severity: 3,
+					code: "50000",
+					message: `${err}`
+				});
+			});
+		});
+
+		// Easy-LibUtils answers its own commands (e.g. `!ezlibutils --modules`) through the same router
+		CommandSchema = _createCommandSchema.call(moduleSettings, { commands: commandDefinitions });
+		_registerChatRoute.call(moduleSettings, { commandSchema: CommandSchema });
+
 		// Script is ready
 		_logSyslogMessage.call(moduleSettings, {
 			severity: 6,
@@ -2236,21 +6154,33 @@ const EASY_LIB_UTILITIES = (() => {
 		ConvertHtmlToJson: _convertHtmlToJson,
 		ConvertJsonToHtml: _convertJsonToHtml,
 		ConvertToSingleLine: _convertToSingleLine,
+		CreateChatButton: _createChatButton,
+		CreateCommandSchema: _createCommandSchema,
 		CreatePhraseFactory: _createPhraseFactory,
 		CreateTemplateFactory: _createTemplateFactory,
 		CreateThemeFactory: _createThemeFactory,
 		DecodeNoteContent: _decodeNoteContent,
 		EncodeNoteContent: _encodeNoteContent,
+		EscapeHtml: _escapeHtml,
+		ExpandInlineRolls: _expandInlineRolls,
 		GetSharedForge: _getSharedForge,
 		GetSharedVault: _getSharedVault,
+		IsControlledBy: _isControlledBy,
 		LogSyslogMessage: _logSyslogMessage,
 		MakeCurryFunc: _makeCurryFunc,
 		ParseChatCommands: _parseChatCommands,
 		ParseChatSubcommands: _parseChatSubcommands,
 		ParseDataFromContent: _parseDataFromContent,
 		PurgeApiState: _purgeApiState,
+		RegisterChatRoute: _registerChatRoute,
+		RegisterWizard: _registerWizard,
+		RenderCommandMenu: _renderCommandMenu,
 		RenderTemplate: _renderTemplate,
 		ReplacePlaceholders: _replacePlaceholders,
+		ResolveTokenSelectors: _resolveTokenSelectors,
+		SanitizeHtmlJson: _sanitizeHtmlJson,
+		StartHistoryEntry: _startHistoryEntry,
+		StartWizard: _startWizard,
 		WhisperAlertMessage: _whisperAlertMessage,
 		WhisperPlayerMessage: _whisperPlayerMessage
 	};
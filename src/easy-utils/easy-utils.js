@@ -134,15 +134,17 @@ const EASY_UTILS = (() => {
 		 * @typedef {Object} _decodeNoteContent
 		 * Decodes an HTML-encoded string into plain, readable text.
 		 *
-		 * This function converts common HTML entities (e.g., `&lt;`, `&gt;`, `&nbsp;`) back into their plain text equivalents,
-		 * including special characters, spaces, and line breaks. It is useful for processing HTML-encoded content, such as 
-		 * Roll20 Notes, into clean, human-readable text.
+		 * This function converts named entities (e.g., `&lt;`, `&nbsp;`, `&rsquo;`), decimal and hexadecimal numeric
+		 * entities (e.g., `&#39;`, `&#x7C;`), and `<br>` tags in any form (`<br/>`, `<BR />`) back into their plain text
+		 * equivalents. Entities are decoded in a single pass, so `&amp;lt;` becomes `&lt;` rather than `<`; unknown or
+		 * invalid entities are left as written. It is useful for processing HTML-encoded content, such as Roll20 Notes
+		 * or chat content sent by abilities, handouts, and buttons, into clean, human-readable text.
 		 *
 		 * @example
 		 * const decodeNoteContent = EASY_UTILS.getFunction("_decodeNoteContent", moduleSettings);
-		 * const decodedText = decodeNoteContent({ text: "Hello&nbsp;&lt;World&gt;&nbsp;&amp;&nbsp;&#39;Friends&#39;" });
+		 * const decodedText = decodeNoteContent({ text: "Hello&nbsp;&lt;World&gt;&nbsp;&amp;&nbsp;&#39;Friends&#x27;<br/>" });
 		 * log(decodedText);
-		 * // Output: "Hello <World> & 'Friends'"
+		 * // Output: "Hello <World> & 'Friends'\n"
 		 *
 		 * @param {Object} params - The input parameters for decoding.
 		 * @param {string} params.text - The HTML-encoded string to decode.
@@ -172,14 +174,32 @@ const EASY_UTILS = (() => {
 						return text;
 					}
 
+					// NOTE Easy-LibUtils and Easy-Utils each carry this entity table; keep the two copies in sync
+					const namedEntities = {
+						amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", shy: "",
+						lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", laquo: "«", raquo: "»",
+						ndash: "–", mdash: "—", hellip: "…", bull: "•", middot: "·",
+						copy: "©", reg: "®", trade: "™", deg: "°", plusmn: "±", times: "×", divide: "÷",
+						frac12: "½", frac14: "¼", frac34: "¾", sect: "§", para: "¶",
+						cent: "¢", pound: "£", euro: "€", yen: "¥",
+
+						// Punctuation Roll20 escapes inside queries and roll templates
+						vert: "|", verbar: "|", lcub: "{", rcub: "}", lbrack: "[", rbrack: "]", lpar: "(", rpar: ")",
+						comma: ",", colon: ":", excl: "!", num: "#", percnt: "%", ast: "*", commat: "@", quest: "?",
+					};
+
 					return text
-						.replace(/&lt;/g, "<")    // Decode <
-						.replace(/&gt;/g, ">")    // Decode >
-						.replace(/&quot;/g, "\"") // Decode "
-						.replace(/&#39;/g, "'")   // Decode '
-						.replace(/&nbsp;/g, " ")  // Decode non-breaking spaces
-						.replace(/<br>/g, "\n")   // Decode line breaks
-						.replace(/&amp;/g, "&");  // Decode & (must be done last to avoid double replacements)
+						.replace(/<br\s*\/?>/gi, "\n")
+						.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, name) => {
+							if (name.startsWith("#")) {
+								const codePoint = /^#x/i.test(name) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+
+								return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+							}
+
+							// Entity names are case-sensitive, e.g. `&Eacute;` differs from `&eacute;`
+							return namedEntities[name] ?? entity;
+						});
 				};
 			};
 		},
@@ -411,49 +431,165 @@ const EASY_UTILS = (() => {
 		 * @typedef {Object} _parseChatCommands
 		 * Parses commands and their arguments from a chat message.
 		 *
-		 * This function breaks down a chat message into commands and arguments using `--` as a delimiter.
-		 * It returns a `Map` where each command is a key and its arguments are stored as an array.
+		 * Tokenizes a chat message the way a shell would: whitespace separates arguments, double or single 
+		 * quotes group text (including spaces and a literal `--`) into one argument, and a backslash escapes 
+		 * the next character. A quote only opens at the start of an argument or of its value (`text|"a b"`), so 
+		 * apostrophes inside words (`Don't`, `O'Brien`) are literal, and a quote that is never closed is read 
+		 * literally too. Any unquoted token starting with `--` begins a new command; a bare `--` is kept as a 
+		 * command of that name, so the arguments after it never join the previous command and the router 
+		 * reports it as unknown. Tokens before the first command (e.g. `!ezmod`) are ignored.
+		 *
+		 * By default returns a `Map` where each command is a key and its arguments are an array; a repeated 
+		 * command keeps only its last arguments. With `asList` an array of `{ command, args, quoted, tails }` entries is 
+		 * returned instead, keeping every command in the order it was typed; `quoted[i]` tells whether `args[i]` 
+		 * or its value was quoted, for `_parseChatSubcommands`, and `tails[i]` holds the command's text from 
+		 * `args[i]` to its end exactly as typed, for arguments that take the rest of a command.
+		 *
+		 * Content from abilities, handouts, and buttons often arrives HTML-encoded, so entities and `<br>` tags 
+		 * are decoded with `_decodeNoteContent` before tokenizing (`&quot;` then groups text like a typed quote). 
+		 * Pass `decodeEntities: false` to tokenize the content exactly as received.
+		 *
+		 * @example
+		 * const commands = _parseChatCommands({ apiCallContent: "!ezmod --speak \"Hello -- there, friend\" --help" });
+		 * console.log(commands);
+		 * // Output: Map { "--speak" => ["Hello -- there, friend"], "--help" => [] }
 		 *
 		 * @example
-		 * const commands = _parseChatCommands({ apiCallContent: "--menu option1 option2 --help" });
-		 * log(commands);
-		 * // Output: Map { "--menu" => ["option1", "option2"], "--help" => [] }
+		 * const commandList = _parseChatCommands({ apiCallContent: "!ezmod --add a --add b", asList: true });
+		 * // Output: [{ command: "--add", args: ["a"], quoted: [false], tails: ["a"] }, { command: "--add", args: ["b"], quoted: [false], tails: ["b"] }]
 		 *
 		 * @param {Object} params - Parameters for parsing chat commands.
-		 * @param {string} params.apiCallContent - The full chat message containing commands and arguments.
-		 * @returns {Map<string, string[]>} - A map of commands and their arguments.
+		 * @param {string} params.apiCallContent - The full chat message containing commands.
+		 * @param {boolean} [params.asList=false] - Return an ordered list of commands instead of a map.
+		 * @param {boolean} [params.decodeEntities=true] - Decode HTML entities and `<br>` tags before tokenizing.
+		 * @returns {Map<string, string[]>|Array<{command: string, args: string[], quoted: boolean[], tails: string[]}>} - The commands and their arguments.
 		 */
 		_parseChatCommands: function () {
-			// eslint-disable-next-line no-unused-vars
 			return (moduleSettings) => {
-				return ({ apiCallContent }) => {
-					const commandMap = new Map();
+				return ({ apiCallContent, asList = false, decodeEntities = true }) => {
+					const commandList = [];
+
+					// NOTE Easy-LibUtils and Easy-Utils each carry this tokenizer; keep the two copies in sync
+					// Split the content into tokens in a single pass, honouring quotes and backslash escapes
+					const tokenize = (content) => {
+						const tokens = [];
+						let current = null;
+						let quote = null;
+
+						// Finds the unescaped quote that would close one opened just before `from`, or -1 if none does
+						const findClosingQuote = (char, from) => {
+							for (let index = from; index < content.length; index++) {
+								if (content[index] === "\\") {
+									index++;
+								} else if (content[index] === char) {
+									return index;
+								}
+							}
+
+							return -1;
+						};
 
-					// Normalize the input by trimming leading and trailing whitespace
-					const normalizedContent = apiCallContent.trim();
+						// A quote opens at the start of a token or right after the delimiter of a plain `key|` or `key#`, 
+						// and only when it is closed later; a quote that never closes was not meant as one and stays literal
+						const opensQuote = (char, index) => {
+							const atStart = !current || (current.plainLength === current.value.length && /^[^|#]+[|#]$/.test(current.value));
 
-					// Split the message into segments using '--' as a delimiter
-					const segments = normalizedContent.split("--").filter(segment => { return segment.trim() !== ""; });
+							return atStart && findClosingQuote(char, index + 1) !== -1;
+						};
+
+						// Start a token at `start` on demand; `isPlain` stays true only while every character was unquoted and unescaped
+						const append = (char, isPlain, start) => {
+							if (!current) {
+								current = { value: "", plainLength: 0, start };
+							}
+							if (isPlain && current.plainLength === current.value.length) {
+								current.plainLength++;
+							}
+							current.value += char;
+						};
+
+						for (let index = 0; index < content.length; index++) {
+							const char = content[index];
+
+							if (char === "\\" && index + 1 < content.length) {
+								// Escaped character is always literal
+								index++;
+								append(content[index], false, index - 1);
+							} else if (quote) {
+								if (char === quote) {
+									quote = null;
+								} else {
+									append(char, false, index);
+								}
+							} else if ((char === "\"" || char === "'") && opensQuote(char, index)) {
+								// Opening a quote starts a token even if the quoted text is empty
+								quote = char;
+								append("", false, index);
+								current.isQuoted = true;
+							} else if (/\s/.test(char)) {
+								if (current) {
+									tokens.push(current);
+									current = null;
+								}
+							} else {
+								append(char, true, index);
+							}
+						}
 
-					// Process each segment
-					segments.forEach((segment, index) => {
-						// Skip the first segment if it's not a valid command (i.e., starts with '!')
-						if (index === 0 && segment.trim().startsWith("!")) {
-							return; // Skip this segment
+						if (current) {
+							tokens.push(current);
 						}
 
-						// Trim the segment and split into command and arguments
-						const trimmedSegment = segment.trim();
-						const [command, ...args] = trimmedSegment.split(/\s+/);
+						return tokens;
+					};
+
+					let currentArgs = null;
+					let currentQuoted = null;
+					let currentTails = null;
+
+					const decodeNoteContent = EASY_UTILS.getFunction("_decodeNoteContent", moduleSettings);
+					const content = decodeEntities ? decodeNoteContent({ text: apiCallContent }) : apiCallContent;
+
+					const source = content.trim();
+					const tokens = tokenize(source);
+
+					const isCommand = (token) => {
+						return token.plainLength >= 2 && token.value.startsWith("--");
+					};
 
-						// Ensure the command has no leading or trailing whitespace
-						const cleanCommand = command.toLowerCase().trim();
+					// Each argument also keeps the text from where it starts to the end of its command, exactly as typed
+					let commandEnd = source.length;
+					for (let index = tokens.length - 1; index >= 0; index--) {
+						tokens[index].tail = source.slice(tokens[index].start, commandEnd).trimEnd();
+						if (isCommand(tokens[index])) {
+							commandEnd = tokens[index].start;
+						}
+					}
+
+					tokens.forEach(token => {
+						if (isCommand(token)) {
+							const cleanCommand = token.value.slice(2).toLowerCase();
+
+							// Record the command in the order it was typed; a bare `--` is kept so it can be reported
+							currentArgs = [];
+							currentQuoted = [];
+							currentTails = [];
+							commandList.push({ command: `--${cleanCommand}`, args: currentArgs, quoted: currentQuoted, tails: currentTails });
+						} else if (currentArgs) {
+							currentArgs.push(token.value);
+							currentQuoted.push(token.isQuoted === true);
+							currentTails.push(token.tail);
+						}
 
-						// Store the command and its arguments in the map
-						commandMap.set(`--${cleanCommand}`, args);
+						// Tokens before the first command (the `!chatName` prefix) are ignored
 					});
 
-					return commandMap;
+					if (asList) {
+						return commandList;
+					}
+
+					// Map shape kept for compatibility; later repeats overwrite earlier ones
+					return new Map(commandList.map(({ command, args }) => { return [command, args]; }));
 				};
 			};
 		},
@@ -463,34 +599,124 @@ const EASY_UTILS = (() => {
 		 * @typedef {Object} _parseChatSubcommands
 		 * Parses command arguments into key-value pairs or standalone flags.
 		 *
-		 * This function processes an array of arguments and identifies key-value pairs using `|` or `#` 
-		 * as delimiters. Arguments without these delimiters are treated as standalone flags with a value of `true`.
+		 * Splits each argument on its first `|` or `#`, so values may themselves contain either character. 
+		 * Arguments without a delimiter are standalone flags with a value of `true`, while `key|` gives an empty 
+		 * string. Unquoted values that read exactly as a finite number or as `true`/`false` are coerced (`"007"`, 
+		 * `"Infinity"` and quoted values such as `"true"` stay strings); the command schema coerces the rest to 
+		 * the declared type. Dotted keys build nested objects and repeated keys collect their values into an 
+		 * array. A key used both as a value and as a group of dotted keys (`style|red style.color|blue`) keeps 
+		 * its first use; the later one is reported in `errors` and logged.
 		 *
 		 * @example
 		 * const parsedArgs = _parseChatSubcommands({ subcommands: ["key1|value1", "flag"] });
 		 * console.log(parsedArgs); // Output: { key1: "value1", flag: true }
 		 *
+		 * @example
+		 * const parsedArgs = _parseChatSubcommands({ subcommands: ["hp|12", "style.color|#ff0000", "tag|a", "tag|b", "note|"] });
+		 * console.log(parsedArgs);
+		 * // Output: { hp: 12, style: { color: "#ff0000" }, tag: ["a", "b"], note: "" }
+		 *
+		 * @example
+		 * const { args, quoted } = _parseChatCommands({ apiCallContent: "!ezmod --set code|\"12\" on|true", asList: true })[0];
+		 * _parseChatSubcommands({ subcommands: args, quoted }); // Output: { code: "12", on: true }
+		 *
 		 * @param {Object} params - Parameters for parsing subcommands.
 		 * @param {string[]} params.subcommands - The array of arguments to parse.
-		 * @returns {Object<string, string|boolean>} - A map of argument keys to their values or `true` for flags.
+		 * @param {boolean[]} [params.quoted=[]] - Which arguments were quoted, from `_parseChatCommands`.
+		 * @param {Array<Object>} [params.errors] - Receives `{ argument, code, args }` for keys that collide.
+		 * @returns {Object<string, *>} - A map of argument keys to values, arrays of values, nested objects, or `true` for flags.
 		 */
 		_parseChatSubcommands: function () {
-			// eslint-disable-next-line no-unused-vars
 			return (moduleSettings) => {
-				return ({ subcommands }) => {
+				return ({ subcommands, quoted = [], errors = [] }) => {
 					const subcommandMap = {};
 
+					// Only unquoted booleans and finite numbers that survive the round trip unchanged are coerced
+					const coerceValue = (value, isQuoted) => {
+						if (!isQuoted && (value === "true" || value === "false")) {
+							return value === "true";
+						}
+						const number = Number(value);
+
+						return !isQuoted && value.trim() !== "" && Number.isFinite(number) && `${number}` === value ? number : value;
+					};
+
+					const isGroup = (value) => {
+						return typeof value === "object" && value !== null && !Array.isArray(value);
+					};
+
+					// Repeated keys collect into an array; a repeated flag simply stays `true`
+					const storeValue = (target, key, value) => {
+						if (!Object.prototype.hasOwnProperty.call(target, key)) {
+							target[key] = value;
+						} else if (Array.isArray(target[key])) {
+							target[key].push(value);
+						} else if (!(target[key] === true && value === true)) {
+							target[key] = [target[key], value];
+						}
+					};
+
+					// The first use of a key wins; later conflicting uses are reported rather than overwriting it
+					const reportCollision = (argument) => {
+						const logSyslogMessage = EASY_UTILS.getFunction("_logSyslogMessage", moduleSettings);
+
+						errors.push({ argument, code: "0x0B2E7F4C", args: { argument } });
+						logSyslogMessage({
+							severity: 4,
+							tag: "_parseChatSubcommands",
+							messageId: "40000",
+							message: `Conflicting Argument: '${argument}' is both a value and a group of dotted keys; the later use was ignored.`
+						});
+					};
+
 					// Process each argument
-					subcommands.forEach(arg => {
-						// Check for key-value pair using | or #
-						const delimiterMatch = arg.includes("|") ? "|" : arg.includes("#") ? "#" : null;
-
-						if (delimiterMatch) {
-							const [key, value] = arg.split(delimiterMatch);
-							subcommandMap[key] = value; // Store key-value pair
-						} else {
-							subcommandMap[arg] = true; // Treat as a standalone flag
+					subcommands.forEach((arg, index) => {
+						// Split on the first | or #; a leading delimiter is part of a flag (e.g. "#tag")
+						const delimiterIndex = arg.search(/[|#]/);
+
+						if (delimiterIndex <= 0) {
+							if (isGroup(subcommandMap[arg])) {
+								reportCollision(arg);
+							} else {
+								storeValue(subcommandMap, arg, true); // Treat as a standalone flag
+							}
+
+							return;
 						}
+
+						const keyPath = arg.slice(0, delimiterIndex);
+						const value = coerceValue(arg.slice(delimiterIndex + 1), quoted[index] === true);
+						const keys = keyPath.split(".").filter(Boolean);
+						const lastKey = keys.pop() || keyPath;
+
+						// Never let chat input reach object prototypes
+						if ([...keys, lastKey].some(key => { return ["__proto__", "constructor", "prototype"].includes(key); })) {
+							return;
+						}
+
+						// Walk or create nested objects for dotted keys; a key already holding a value is never replaced
+						let target = subcommandMap;
+						let collision = null;
+						for (const [depth, key] of keys.entries()) {
+							if (!Object.prototype.hasOwnProperty.call(target, key)) {
+								target[key] = {};
+							} else if (!isGroup(target[key])) {
+								collision = keys.slice(0, depth + 1).join(".");
+								break;
+							}
+							target = target[key];
+						}
+						if (!collision && isGroup(target[lastKey])) {
+							collision = [...keys, lastKey].join(".");
+						}
+
+						if (collision) {
+							reportCollision(collision);
+
+							return;
+						}
+
+						storeValue(target, lastKey, value);
 					});
 
 					return subcommandMap;
@@ -30,7 +30,9 @@ const EASY_MODULE = (() => {
 	*******************************************************************************************************************/
 
 	// NOTE During Initialization these will be populated with references from EASY_LIB_UTILITIES
+	let Utils = {};
 	let PhraseFactory = {};
+	let CommandSchema = {};
 	const TemplateFactory = {};
 	const ThemeFactory = {};
 
@@ -40,173 +42,175 @@ const EASY_MODULE = (() => {
 	* SECTION PRIVATE FUNCTIONS                                                                                        *
 	*******************************************************************************************************************/
 
-	// ANCHOR _commandFactory
+	// ANCHOR commandDefinitions
 	/**
-	 * A map of commands to their corresponding action functions.
-	 * 
-	 * @type {Object<string, Function>}
-	 * @property {Function} --menu - Handles the "menu" command.
-	 * @property {Function} --speak - Handles the "speak" command.
-	 * @property {Function} --remark - Handles the "remark" command.
-	 * @property {Function} --as - Handles the "as" command.
-	 * @property {Function} --add - Handles the "add" command.
-	 * @property {Function} --remove - Handles the "remove" command.
-	 * @property {Function} --ids - Handles the "ids" command.
+	 * Declarative definitions of the commands this module accepts.
+	 *
+	 * During initialization these are loaded into a command schema (see `CreateCommandSchema`), which validates 
+	 * and coerces each command's arguments before its handler is called. Commands that declare `args` reject 
+	 * unknown, missing, or malformed arguments with an alert to the sender; commands without `args` receive 
+	 * the parsed subcommands as-is. Descriptions and `examples` are shown by the `--menu` command. Commands 
+	 * answer to their `aliases` and to any unambiguous prefix (e.g. `--sel` for `--selected`). A `permission` of 
+	 * "gm" or "controller" (the sender must control every target token) limits who may run a command.
+	 * Handlers are called by the shared chat router in Easy-LibUtils with `(msgDetails, parsedArgs)`.
+	 *
+	 * @type {Object<string, Object>}
+	 * @property {Object} --menu - Handles the "menu" command.
+	 * @property {Object} --tip - Handles the "tip" command.
+	 * @property {Object} --warn - Handles the "warn" command.
+	 * @property {Object} --error - Handles the "error" command.
+	 * @property {Object} --info - Handles the "info" command.
+	 * @property {Object} --log - Handles the "log" command.
+	 * @property {Object} --flip - Handles the "flip" command.
+	 * @property {Object} --setup - Handles the "setup" command.
 	 */
-	const methodMap = {
-		"--menu": (msgDetails, parsedArgs) => { 
-			// Preprocess the title, description, and remark
-			const title = PhraseFactory.get({ code: "60000" }); // Pre-fetch title based on severity
-			const description = "The Chat API commands given were...";
-			const remark = `The arguments for those commands were: ${JSON.stringify(parsedArgs)}`;
-
-			// Construct the arguments object
-			const whisperArguments = {
-				apiCall: msgDetails.raw, // Raw message details
-				severity: 6,             // Numeric severity for INFO
-				title,                   // Preprocessed title
-				description,             // Preprocessed description
-				remark,                  // Preprocessed remark
-			};
-
-			// Call the whisper function
-			Utils.WhisperAlertMessage(whisperArguments);
-
-		  },
-		  "--tip": (msgDetails, parsedArgs) => { 
-			const whisperArguments = {
-				apiCall: msgDetails.raw,
-				severity: 7,
-				description: `${PhraseFactory.get({code: "0"})}`,
-				remark: `${PhraseFactory.get({ code: "0x00FA670E" })}`
-			};
-
-			Utils.WhisperAlertMessage( whisperArguments );
-		  },
-		  "--warn": (msgDetails, parsedArgs) => { 
-			const whisperArguments = {
-				apiCall: msgDetails.raw,
-				severity: 4,
-				description: `${PhraseFactory.get({code: "40400"})}`,
-				remark: `${PhraseFactory.get({ code: "70000", params: [`${JSON.stringify(parsedArgs)}`] })}`
-			};
-
-			Utils.WhisperAlertMessage( whisperArguments );
-		  },
-		  "--error": (msgDetails, parsedArgs) => {
-			const whisperArguments = {
-				apiCall: msgDetails.raw,
-				severity: 3,
-				description: `${PhraseFactory.get({ code: "40000", params: [`${JSON.stringify(parsedArgs)}`] })}`,
-				remark: `${PhraseFactory.get({code: "0x00784CBE"})}`
-			};
-
-			Utils.WhisperAlertMessage( whisperArguments );
-		  },
-		"--info": (msgDetails, parsedArgs) => { 
-			const whisperArguments = {
-				apiCall: msgDetails.raw,
-				severity: 6,
-				description: `${PhraseFactory.get({code: "0"})}`,
-				remark: `${PhraseFactory.get({ code: "70000", params: [`${(msgDetails.selectedIdsArray).join(", ")}`] })}`
-			};
-
-			Utils.WhisperAlertMessage( whisperArguments );
-		  },
-		  "--log": (msgDetails, parsedArgs) => { 
-			Utils.LogSyslogMessage({
-				severity: 7,
-				code: "70000",
-				message: `${msgDetails.raw.content};;${parsedArgs}`
-			});
-		  },
-	};
-
-	// ANCHOR _handleChatMessages
-	const _handleChatMessages = (apiCall) => {
-
-		/* NOTE: If the message originates from a player, `thisPlayerId` will store the corresponding player object. 
-		This can be used for actions like retrieving the player's name or sending them a whisper. 
-		If the message does not come from a player (e.g., it comes from an API script), `thisPlayerId` will be set to `null`. 
-		The following prevents unnecessary errors when trying to reference a non-existent player. 
-		*/
-
-		const thisPlayerId = apiCall.playerid ? getObj("player", apiCall.playerid) : null;
-		const thisPlayerName = thisPlayerId ? thisPlayerId.get("_displayname") : "Unknown Player";
-		const thisPlayerIsGm = thisPlayerId && playerIsGM(apiCall.playerid) ? true : false;
-	
-		const msgDetails = {
-			raw: apiCall,
-			commands: Utils.ParseChatCommands({
-				apiCallContent: apiCall.content,
-			}),
-			isFromGm: thisPlayerIsGm,
-			senderId: thisPlayerId,
-			senderDisplayName: thisPlayerName.replace(/\(GM\)/g, "").trim(),
-		};
-
-		// Check if --ids is provided
-		if (!msgDetails.commands.has("--ids")) {
-			if (!apiCall.selected || apiCall.selected.length === 0) {
-				// No --ids and no tokens selected error
-				//MessageFactory["60010"](apiCall, "ERROR", "Invalid Arguments", "Select a token or pass token ids with --ids.");
-
-				//return 1;
-				msgDetails.selectedIdsArray = [];
-
-			} else {
-
-				// --ids not provided. Use selected token IDs
-				const selectedIdsArray = apiCall.selected.map(sel => {return sel._id;});
-				msgDetails.selectedIdsArray = selectedIdsArray;
-			}
-
-		} else {
-
-			// --ids was provided use those for the selected tokens, and remove the command from further parsing.
-			msgDetails.selectedIdsArray = msgDetails.commands.get("--ids");
-			msgDetails.commands.delete("--ids");
-		}
-	
-		// Check if command exists in the methodMap and execute the corresponding action
-		// Separate valid and invalid commands
-		const validCommands = [];
-		const invalidCommands = [];
-
-		// Categorize commands as valid or invalid
-		msgDetails.commands.forEach((args, commandName) => {
-			if (methodMap.hasOwnProperty(commandName)) {
-				validCommands.push({ commandName, args });
-			} else {
-				invalidCommands.push(commandName);
-			}
-		});
-
-		// Check if both arrays are empty and default to calling the menu action
-		if (validCommands.length === 0 && invalidCommands.length === 0) {
-			
-			// Default to menu if no command is provided
-			methodMap["--menu"](msgDetails, {});
-		} else {
-			// Execute valid commands
-			validCommands.forEach(({ commandName, args }) => {
-				const parsedArgs = Utils.ParseChatSubcommands({ subcommands: args });
-				methodMap[commandName](msgDetails, parsedArgs);
-			});
+	const commandDefinitions = {
+		"--menu": {
+			description: "Shows this menu of available commands.",
+			args: {},
+			handler: async (msgDetails) => { 
+				const menu = await Utils.RenderCommandMenu({
+					commandSchema: CommandSchema,
+					playerId: msgDetails.raw.playerid,
+					isFromGm: msgDetails.isFromGm,
+				});
+
+				Utils.WhisperPlayerMessage({ to: `"${msgDetails.senderDisplayName}"`, message: menu });
+			},
+		},
+		"--tip": {
+			description: "Whispers an example tip.",
+			args: {},
+			handler: (msgDetails) => { 
+				const whisperArguments = {
+					apiCall: msgDetails.raw,
+					severity: 7,
+					description: `${PhraseFactory.get({code: "0"})}`,
+					remark: `${PhraseFactory.get({ code: "0x00FA670E" })}`
+				};
 
-			// Handle invalid commands
-			if (invalidCommands.length > 0) {
+				Utils.WhisperAlertMessage( whisperArguments );
+			},
+		},
+		"--warn": {
+			description: "Whispers an example warning with the given arguments.",
+			handler: (msgDetails, parsedArgs) => { 
+				const whisperArguments = {
+					apiCall: msgDetails.raw,
+					severity: 4,
+					description: `${PhraseFactory.get({code: "40400"})}`,
+					remark: `${PhraseFactory.get({ code: "70000", args: { remark: JSON.stringify(parsedArgs) } })}`
+				};
 
+				Utils.WhisperAlertMessage( whisperArguments );
+			},
+		},
+		"--error": {
+			description: "Whispers an example error with the given arguments.",
+			handler: (msgDetails, parsedArgs) => {
 				const whisperArguments = {
-					apiCall,
+					apiCall: msgDetails.raw,
 					severity: 3,
-					description: `${PhraseFactory.get({code: "40000"})}`,
+					description: `${PhraseFactory.get({ code: "40000", args: { remark: JSON.stringify(parsedArgs) } })}`,
 					remark: `${PhraseFactory.get({code: "0x00784CBE"})}`
 				};
-	
+
 				Utils.WhisperAlertMessage( whisperArguments );
-			}
-		}
+			},
+		},
+		"--info": {
+			description: "Whispers the IDs of the selected tokens.",
+			aliases: ["--selected"],
+			permission: "controller",
+			args: {},
+			handler: (msgDetails) => { 
+				const whisperArguments = {
+					apiCall: msgDetails.raw,
+					severity: 6,
+					description: `${PhraseFactory.get({code: "0"})}`,
+					remark: `${PhraseFactory.get({ code: "70000", args: { remark: msgDetails.selectedIdsArray.join(", ") } })}`
+				};
+
+				Utils.WhisperAlertMessage( whisperArguments );
+			},
+		},
+		"--log": {
+			description: "Writes the command to the API console log.",
+			permission: "gm",
+			args: {
+				severity: { type: "integer", default: 7, allowed: [3, 4, 6, 7], description: "Syslog severity of the entry." },
+			},
+			examples: ["--log severity|4"],
+			handler: (msgDetails, parsedArgs) => { 
+				Utils.LogSyslogMessage({
+					severity: parsedArgs.severity,
+					code: "70000",
+					message: `${msgDetails.raw.content};;${JSON.stringify(parsedArgs)}`
+				});
+			},
+		},
+		"--flip": {
+			description: "Flips the selected tokens horizontally; undo with !ezlibutils --undo.",
+			permission: "controller",
+			rateLimit: { capacity: 3, refillPerSecond: 0.5 },
+			args: {},
+			handler: (msgDetails) => {
+				const entry = Utils.StartHistoryEntry({ msgDetails, label: "--flip" });
+
+				msgDetails.selectedIdsArray.forEach(id => {
+					const token = getObj("graphic", id);
+					if (token) {
+						entry?.trackObject({ type: "graphic", id });
+						token.set("fliph", !token.get("fliph"));
+					}
+				});
+
+				entry?.commit();
+			},
+		},
+		"--setup": {
+			description: "Walks through an example wizard one question at a time.",
+			args: {},
+			handler: async (msgDetails) => {
+				await Utils.StartWizard({ name: "setup", msgDetails });
+			},
+		},
+	};
+
+	// ANCHOR wizardDefinitions
+	/**
+	 * Multi-step wizards this module offers, registered with the wizard manager during initialization.
+	 *
+	 * Each step whispers its prompt with answer, Back, and Cancel buttons; `next` chooses the following step 
+	 * from the answer, and the wizard completes when there is none.
+	 *
+	 * @type {Object<string, Object>}
+	 * @property {Object} setup - Asks for a greeting and how often to repeat it.
+	 */
+	const wizardDefinitions = {
+		setup: {
+			title: "Easy-Module Setup",
+			firstStep: "greeting",
+			steps: {
+				greeting: { prompt: "What should the module say?", next: "repeat" },
+				repeat: {
+					prompt: (answers) => { return `Repeat "${answers.greeting}" more than once?`; },
+					choices: [{ label: "Yes", value: "yes" }, { label: "No", value: "no" }],
+					next: (answer) => { return answer === "yes" ? "times" : null; },
+				},
+				times: {
+					prompt: "How many times?",
+					input: "number",
+					validate: (answer) => { return Number.isInteger(answer) && answer > 1 && answer <= 10 ? null : "Enter a whole number from 2 to 10."; },
+				},
+			},
+			onComplete: (answers, context) => {
+				Utils.WhisperPlayerMessage({
+					to: `"${context.playerName}"`,
+					message: Array(answers.times || 1).fill(answers.greeting).join(" "),
+				});
+			},
+		},
 	};
 
 	const checkInstall = () => {
@@ -222,11 +226,13 @@ const EASY_MODULE = (() => {
 					"ConvertHtmlToJson",
 					"ConvertJsonToHtml",
 					"ConvertToSingleLine",
+					"CreateCommandSchema",
 					"CreatePhraseFactory",
 					"CreateTemplateFactory",
 					"CreateThemeFactory",
 					"DecodeNoteContent",
 					"EncodeNoteContent",
+					"ExpandInlineRolls",
 					"GetSharedForge",
 					"GetSharedVault",
 					"LogSyslogMessage",
@@ -235,8 +241,15 @@ const EASY_MODULE = (() => {
 					"ParseChatSubcommands",
 					"ParseDataFromContent",
 					"PurgeApiState",
+					"RegisterChatRoute",
+					"RegisterWizard",
+					"RenderCommandMenu",
 					"RenderTemplate",
 					"ReplacePlaceholders",
+					"ResolveTokenSelectors",
+					"SanitizeHtmlJson",
+					"StartHistoryEntry",
+					"StartWizard",
 					"WhisperAlertMessage",
 					"WhisperPlayerMessage"
 				],
@@ -248,10 +261,18 @@ const EASY_MODULE = (() => {
 			// Retrieve the factory using getFactory
 			PhraseFactory = easySharedObject.getFactory("PhraseFactory");
 
+			// Load this module's commands into a schema for validation and dispatch
+			CommandSchema = Utils.CreateCommandSchema({ commands: commandDefinitions });
+
+			// Wizards hold functions, so they are registered again every time the sandbox starts
+			Object.entries(wizardDefinitions).forEach(([name, definition]) => {
+				Utils.RegisterWizard({ name, ...definition });
+			});
+
 			// Add a new phrase
-			PhraseFactory.addPhrases({
+			PhraseFactory.add({
 				language: "enUS",
-				phrases: {
+				newPhrases: {
 					"0x00FA670E": "You can add custom phrases to the PhraseFactory."
 				}
 			});
@@ -350,14 +371,8 @@ const EASY_MODULE = (() => {
 
 	const registerEventHandlers = () => {
 
-		on("chat:message", (apiCall) => {
-			if (apiCall.type !== "api" || !new RegExp(`^!${moduleSettings.chatName}(\\b\\s|$)`).test(apiCall.content)) {
-				return;
-			}
-			 else {
-				_handleChatMessages(apiCall);
-			}
-		});
+		// Easy-LibUtils listens to chat for every module and routes `!ezmod` messages to this module's commands
+		Utils.RegisterChatRoute({ commandSchema: CommandSchema });
 
 		Utils.LogSyslogMessage({
 			severity: 6,
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useLibUtils, apiMessage, textOf, toPlain } = require("./sandbox");
+
+describe("_createChatRouter", () => {
+	const sandbox = useLibUtils({
+		utilities: ["CreateCommandSchema", "RegisterChatRoute"],
+		objects: [{ _type: "player", _id: "p1", _displayname: "Alice" }, { _type: "player", _id: "gm", _displayname: "Game Master" }],
+	}, { each: true });
+	let router;
+	let calls;
+
+	beforeEach(() => {
+		calls = [];
+
+		const commandSchema = sandbox.utils.CreateCommandSchema({
+			commands: {
+				"--set": {
+					description: "Set values.",
+					handler: (msgDetails, args) => { calls.push(toPlain(args)); },
+				},
+				"--boom": {
+					description: "Always throws.",
+					handler: () => { throw new Error("kaboom"); },
+				},
+			},
+		});
+		sandbox.utils.RegisterChatRoute({ commandSchema });
+		router = sandbox.forge.getFactory("ChatRouter");
+		sandbox.chats.length = 0;
+	});
+
+	it("dispatches each command with parsed arguments", async () => {
+		assert.equal(await router.handle(apiMessage("!eztest --set hp|12 label|\"12\" --set on|true")), 0);
+
+		assert.deepEqual(calls, [{ hp: 12, label: "12" }, { on: true }]);
+	});
+
+	it("reports colliding dotted keys instead of running the command", async () => {
+		assert.equal(await router.handle(apiMessage("!eztest --set style|red style.color|blue")), 1);
+		assert.deepEqual(calls, []);
+		assert.match(textOf(sandbox.chats[0].message), /'style' is both a value and a group/);
+	});
+
+	it("reports a handler that throws and keeps going", async () => {
+		assert.equal(await router.handle(apiMessage("!eztest --boom --set a|1")), 1);
+
+		assert.deepEqual(calls, [{ a: 1 }]);
+		assert.match(textOf(sandbox.chats[0].message), /kaboom/);
+	});
+
+	it("runs --batch lines after the other commands, including a --batch inside a line", async () => {
+		assert.equal(await router.handle(apiMessage("!eztest --batch \"--set b|2\" \"--batch '--set c|3'\" --set a|1")), 0);
+
+		assert.deepEqual(calls, [{ a: 1 }, { b: 2 }, { c: 3 }]);
+	});
+
+	it("stops nesting batches and macros past three levels", async () => {
+		const gmMessage = (content) => { return apiMessage(content, "gm"); };
+
+		await router.handle(gmMessage("!ezlibutils --macro save loop \"!ezlibutils --macro run loop\""));
+		sandbox.chats.length = 0;
+		await router.handle(gmMessage("!ezlibutils --macro run loop"));
+
+		assert.ok(sandbox.chats.some(({ message }) => { return /nested 3 levels deep/.test(textOf(message)); }));
+	});
+
+	it("takes a message token for every batch line", async () => {
+		const commandSchema = sandbox.utils.CreateCommandSchema({
+			commands: { "--set": { description: "Set values.", handler: (msgDetails, args) => { calls.push(toPlain(args)); } } },
+		});
+		sandbox.utils.RegisterChatRoute({ commandSchema, rateLimit: { capacity: 2, refillPerSecond: 0.001 } });
+
+		assert.equal(await router.handle(apiMessage("!eztest --batch \"--set a|1\" \"--set b|2\" \"--set c|3\"")), 1);
+		assert.deepEqual(calls, [{ a: 1 }]);
+		assert.ok(sandbox.chats.some(({ message }) => { return /sending commands too quickly/.test(textOf(message)); }));
+	});
+
+	it("takes a token for every command after a message's first, from the default bucket too", async () => {
+		sandbox.state.EasyModuleVault.rateLimit = { capacity: 2, refillPerSecond: 0.001 };
+
+		assert.equal(await router.handle(apiMessage("!eztest --set a|1 --set b|2 --set c|3")), 1);
+		assert.deepEqual(calls, [{ a: 1 }, { b: 2 }]);
+		assert.equal(await router.handle(apiMessage("!eztest --set d|4")), 1);
+		assert.deepEqual(calls, [{ a: 1 }, { b: 2 }]);
+		assert.equal(sandbox.chats.filter(({ message }) => { return /sending commands too quickly/.test(textOf(message)); }).length, 1);
+	});
+
+	it("reports whether --ratelimit changed the limit", async () => {
+		const gmMessage = (content) => { return apiMessage(content, "gm"); };
+
+		assert.equal(await router.handle(gmMessage("!ezlibutils --ratelimit capacity|0")), 1);
+		assert.equal(sandbox.state.EasyModuleVault.rateLimit, undefined);
+		assert.equal(await router.handle(gmMessage("!ezlibutils --ratelimit capacity|4 refill|0.5")), 0);
+		assert.deepEqual(toPlain(sandbox.state.EasyModuleVault.rateLimit), { enabled: true, capacity: 4, refillPerSecond: 0.5 });
+	});
+
+	it("logs a failure outside the handlers instead of rejecting", async () => {
+		// `selected` that is not an array makes building the message details throw
+		assert.equal(await router.handle({ ...apiMessage("!eztest --set a|1"), selected: 5 }), 1);
+		assert.ok(sandbox.logs.some(line => { return /\(ERROR\).*"code": 50000/.test(line); }));
+
+		// The listener does not wait for the router, so a rejection would surface as an unhandled one
+		sandbox.logs.length = 0;
+		await sandbox.fire("chat:message", { ...apiMessage("!eztest --set a|1"), selected: 5 });
+		await new Promise(resolve => { setTimeout(resolve, 10); });
+		assert.ok(sandbox.logs.some(line => { return /\(ERROR\)/.test(line); }));
+	});
+});
@@ -0,0 +1,95 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { useLibUtils, textOf, toPlain } = require("./sandbox");
+
+describe("_createCommandSchema", () => {
+	const sandbox = useLibUtils({
+		utilities: ["CreateCommandSchema"],
+		objects: [
+			{ _type: "player", _id: "p1", _displayname: "Alice" },
+			{ _type: "graphic", _id: "t1", name: "Alice's Token", controlledby: "p1" },
+			{ _type: "graphic", _id: "t2", name: "Goblin", controlledby: "" },
+		],
+	});
+	let schema;
+	const calls = [];
+
+	before(() => {
+		schema = sandbox.utils.CreateCommandSchema({
+			commands: {
+				"--speak": {
+					description: "Speak as the selected token.",
+					aliases: ["--say"],
+					args: {
+						text: { type: "string", required: true },
+						volume: { type: "integer", default: 5, allowed: [1, 5, 10] },
+						loud: { type: "boolean" },
+						tag: { type: "string", multiple: true },
+					},
+					handler: (msgDetails, args) => { calls.push(toPlain(args)); },
+				},
+				"--spawn": { description: "Spawn something.", handler: () => {} },
+				"--reset": { description: "Reset the module.", permission: "gm", handler: () => {} },
+				"--move": { description: "Move your tokens.", permission: "controller", handler: () => {} },
+			},
+		});
+	});
+
+	it("resolves aliases and unambiguous prefixes", () => {
+		assert.equal(schema.resolve({ command: "--say" }), "--speak");
+		assert.equal(schema.resolve({ command: "--spe" }), "--speak");
+		assert.equal(schema.resolve({ command: "--sp" }), null);
+		assert.equal(schema.resolve({ command: "--" }), null);
+	});
+
+	it("suggests close matches and hides GM commands from players", () => {
+		assert.deepEqual(toPlain(schema.suggest({ command: "--speek" })), ["--speak"]);
+		assert.deepEqual(toPlain(schema.suggest({ command: "--reste" })), []);
+		assert.deepEqual(toPlain(schema.suggest({ command: "--reste", isFromGm: true })), ["--reset"]);
+	});
+
+	it("coerces, defaults, and checks declared arguments", () => {
+		assert.deepEqual(toPlain(schema.validate({ command: "--speak", parsedArgs: { text: "hi", loud: "yes", tag: "a" } })), {
+			isValid: true,
+			args: { text: "hi", volume: 5, loud: true, tag: ["a"] },
+			errors: [],
+		});
+
+		const { isValid, errors } = schema.validate({ command: "--speak", parsedArgs: { volume: "7", extra: "x" } });
+		assert.equal(isValid, false);
+		assert.deepEqual(toPlain(errors).map(({ argument }) => { return argument; }).sort(), ["extra", "text", "volume"]);
+	});
+
+	it("passes arguments through when none are declared", () => {
+		assert.deepEqual(toPlain(schema.validate({ command: "--spawn", parsedArgs: { any: 1 } })), { isValid: true, args: { any: 1 }, errors: [] });
+	});
+
+	it("checks permissions", () => {
+		assert.equal(schema.authorize({ command: "--reset", playerId: "p1" }).isAllowed, false);
+		assert.equal(schema.authorize({ command: "--reset", playerId: "gm", isFromGm: true }).isAllowed, true);
+		assert.equal(schema.authorize({ command: "--move", playerId: "p1", targetIds: ["t1"] }).isAllowed, true);
+		assert.equal(schema.authorize({ command: "--move", playerId: "p1", targetIds: ["t1", "t2"] }).isAllowed, false);
+		assert.equal(schema.authorize({ command: "--move", playerId: "p1" }).isAllowed, false);
+	});
+
+	it("refuses unknown commands instead of throwing", () => {
+		const authorization = toPlain(schema.authorize({ command: "--nope", playerId: "p1" }));
+		const validation = toPlain(schema.validate({ command: "--nope", parsedArgs: {} }));
+
+		assert.equal(authorization.isAllowed, false);
+		assert.equal(authorization.errors[0].code, "0x06D5E2A1");
+		assert.equal(validation.isValid, false);
+		assert.equal(validation.errors[0].code, "0x06D5E2A1");
+	});
+
+	it("dispatches valid calls and reports the rest", async () => {
+		const msgDetails = { raw: { playerid: "p1", who: "Alice", content: "!eztest --speak" }, isFromGm: false, selectedIdsArray: [] };
+
+		assert.equal(await schema.dispatch({ msgDetails, command: "--say", parsedArgs: { text: "hello" } }), 0);
+		assert.deepEqual(calls.at(-1), { text: "hello", volume: 5 });
+
+		sandbox.chats.length = 0;
+		assert.equal(await schema.dispatch({ msgDetails, command: "--nope", parsedArgs: {} }), 1);
+		assert.match(textOf(sandbox.chats[0].message), /Unrecognized command '--nope'/);
+	});
+});
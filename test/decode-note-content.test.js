@@ -0,0 +1,92 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSandbox, loadLibUtils, useLibUtils, apiMessage, toPlain } = require("./sandbox");
+
+// Both libraries carry the same decoder; every case runs against each copy
+const copies = {
+	"easy-lib-utils": async () => {
+		const { utils } = await loadLibUtils({ utilities: ["DecodeNoteContent"] });
+
+		return utils.DecodeNoteContent;
+	},
+	"easy-utils": async () => {
+		const { EASY_UTILS } = loadSandbox({ files: ["easy-utils/easy-utils.js"], globals: ["EASY_UTILS"] });
+
+		return EASY_UTILS.getFunction("_decodeNoteContent", { modName: "Test-Module" });
+	},
+};
+
+Object.entries(copies).forEach(([copy, load]) => {
+	describe(`_decodeNoteContent (${copy})`, () => {
+		let decode;
+
+		before(async () => {
+			decode = await load();
+		});
+
+		it("decodes named, decimal, and hexadecimal entities", () => {
+			assert.equal(decode({ text: "&lt;b&gt; &amp; &quot;x&quot; &#39;y&#x27; &rsquo;&hellip; &vert;&lcub;&rcub;" }), "<b> & \"x\" 'y' ’… |{}");
+			assert.equal(decode({ text: "&#x1F600;&#65;" }), "😀A");
+		});
+
+		it("turns every form of <br> into a newline", () => {
+			assert.equal(decode({ text: "a<br>b<br/>c<BR />d" }), "a\nb\nc\nd");
+		});
+
+		it("decodes once, leaving unknown and invalid entities as written", () => {
+			assert.equal(decode({ text: "&amp;lt; &bogus; &Amp; &#0; &#x110000; & plain" }), "&lt; &bogus; &Amp; &#0; &#x110000; & plain");
+		});
+	});
+});
+
+describe("Entity decoding in the chat router", () => {
+	const sandbox = useLibUtils({
+		utilities: ["CreateCommandSchema", "RegisterChatRoute"],
+		objects: [{ _type: "player", _id: "p1", _displayname: "Alice" }],
+	}, { each: true });
+	let router;
+	let calls;
+
+	// Registers a module under `chatName` whose --say command records what its handler receives
+	const register = ({ chatName, decodeEntities }) => {
+		const commandSchema = sandbox.utils.CreateCommandSchema({
+			commands: {
+				"--say": {
+					description: "Says something.",
+					handler: (msgDetails, args, rawArgs) => { calls.push({ args: toPlain(args), rawArgs: toPlain(rawArgs), rawContent: msgDetails.rawContent }); },
+				},
+			},
+		});
+		const settings = { modName: chatName, chatName, version: "1.0.0" };
+
+		sandbox.EASY_LIB_UTILITIES.FetchUtilities({ requestedFunctionsArray: ["RegisterChatRoute"], thisModuleSettings: settings })
+			.RegisterChatRoute({ commandSchema, decodeEntities });
+	};
+
+	beforeEach(() => {
+		calls = [];
+		router = sandbox.forge.getFactory("ChatRouter");
+	});
+
+	it("groups entity-encoded quotes like typed ones and keeps the content as received", async () => {
+		register({ chatName: "ezdecode" });
+		const content = "!ezdecode --say text|&quot;Don&#39;t go&quot; &lt;b&gt;";
+
+		assert.equal(await router.handle(apiMessage(content)), 0);
+		assert.deepEqual(calls, [{ args: { text: "Don't go", "<b>": true }, rawArgs: ["text|Don't go", "<b>"], rawContent: content }]);
+	});
+
+	it("tokenizes entities literally for a route that turns decoding off", async () => {
+		register({ chatName: "ezraw", decodeEntities: false });
+
+		assert.equal(await router.handle(apiMessage("!ezraw --say text|&quot;a b&quot;")), 0);
+		assert.deepEqual(calls[0].rawArgs, ["text|&quot;a", "b&quot;"]);
+	});
+
+	it("decodes batch lines only once", async () => {
+		register({ chatName: "ezdecode" });
+
+		assert.equal(await router.handle(apiMessage("!ezdecode --batch \"--say text|&amp;lt;\"")), 0);
+		assert.deepEqual(calls[0].args, { text: "&lt;" });
+	});
+});
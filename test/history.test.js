@@ -0,0 +1,153 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useLibUtils, apiMessage, textOf } = require("./sandbox");
+
+describe("_createHistoryManager", () => {
+	const sandbox = useLibUtils({
+		utilities: ["CreateCommandSchema", "RegisterChatRoute", "StartHistoryEntry"],
+		objects: [
+			{ _type: "player", _id: "p1", _displayname: "Alice" },
+			{ _type: "player", _id: "p2", _displayname: "Bob" },
+			{ _type: "player", _id: "gm", _displayname: "Game Master" },
+			{ _type: "graphic", _id: "g1", name: "Goblin", left: 70 },
+		],
+	}, { each: true });
+	let router;
+
+	const getToken = (id) => {
+		return sandbox.objects.find(obj => { return obj.get("_id") === id; });
+	};
+
+	const goblins = () => {
+		return sandbox.objects.filter(obj => { return obj.get("_type") === "graphic"; });
+	};
+
+	// Sends a command with g1 selected and returns its result and the text whispered back
+	const send = async (content, playerid = "p1") => {
+		sandbox.chats.length = 0;
+		const result = await router.handle(apiMessage(content, playerid, [{ _id: "g1", _type: "graphic" }]));
+
+		return { result, text: sandbox.chats.map(({ message }) => { return textOf(message); }).join("\n") };
+	};
+
+	beforeEach(() => {
+		const commandSchema = sandbox.utils.CreateCommandSchema({
+			commands: {
+				"--rename": {
+					description: "Renames the selected tokens.",
+					args: { name: { type: "string", required: true } },
+					handler: (msgDetails, { name }) => {
+						const entry = sandbox.utils.StartHistoryEntry({ msgDetails, label: "--rename" });
+						msgDetails.selectedIdsArray.forEach(id => { entry.trackObject({ type: "graphic", id }); });
+						msgDetails.selectedIdsArray.forEach(id => { getToken(id).set("name", name); });
+						entry.commit();
+					},
+				},
+				"--delete": {
+					description: "Deletes the selected tokens.",
+					handler: (msgDetails) => {
+						const entry = sandbox.utils.StartHistoryEntry({ msgDetails, label: "--delete" });
+						msgDetails.selectedIdsArray.forEach(id => { entry.trackObject({ type: "graphic", id }); });
+						msgDetails.selectedIdsArray.forEach(id => { getToken(id).remove(); });
+						entry.commit();
+					},
+				},
+				"--note": {
+					description: "Keeps a note in the shared vault.",
+					args: { text: { type: "string", required: true } },
+					handler: (msgDetails, { text }) => {
+						const entry = sandbox.utils.StartHistoryEntry({ msgDetails, label: "--note" });
+						entry.trackVault({ key: "notes.last" });
+						sandbox.state.EasyModuleVault.notes = { last: text };
+						entry.commit();
+					},
+				},
+			},
+		});
+		sandbox.utils.RegisterChatRoute({ commandSchema });
+		router = sandbox.forge.getFactory("ChatRouter");
+	});
+
+	it("follows a deleted object's new ID into earlier entries when undoing", async () => {
+		await send("!eztest --rename name|Hobgoblin");
+		await send("!eztest --delete");
+		assert.equal(goblins().length, 0);
+
+		assert.equal((await send("!ezlibutils --undo")).result, 0);
+		assert.equal((await send("!ezlibutils --undo")).result, 0);
+
+		const [goblin] = goblins();
+		assert.notEqual(goblin.id, "g1");
+		assert.deepEqual([goblin.get("name"), goblin.get("left")], ["Goblin", 70]);
+
+		assert.equal((await send("!ezlibutils --redo")).result, 0);
+		assert.match((await send("!ezlibutils --redo")).text, /Redid --delete/);
+		assert.equal(goblins().length, 0);
+	});
+
+	it("undoes and redoes the sender's latest change", async () => {
+		await send("!eztest --rename name|Hobgoblin");
+
+		assert.match((await send("!ezlibutils --undo")).text, /Undid --rename \(1 changes\)/);
+		assert.equal(getToken("g1").get("name"), "Goblin");
+		assert.equal((await send("!ezlibutils --undo")).result, 1);
+
+		assert.match((await send("!ezlibutils --redo")).text, /Redid --rename/);
+		assert.equal(getToken("g1").get("name"), "Hobgoblin");
+		assert.match((await send("!ezlibutils --redo")).text, /Nothing to redo/);
+	});
+
+	it("restores shared vault keys, removing ones the command added", async () => {
+		await send("!eztest --note text|first");
+		await send("!eztest --note text|second");
+
+		await send("!ezlibutils --undo");
+		assert.equal(sandbox.state.EasyModuleVault.notes.last, "first");
+		await send("!ezlibutils --undo");
+		assert.equal(sandbox.state.EasyModuleVault.notes.last, undefined);
+	});
+
+	it("drops undone entries once the player makes a new change", async () => {
+		await send("!eztest --rename name|Hobgoblin");
+		await send("!ezlibutils --undo");
+		await send("!eztest --rename name|Bugbear");
+
+		assert.match((await send("!ezlibutils --redo")).text, /Nothing to redo/);
+		assert.equal(getToken("g1").get("name"), "Bugbear");
+	});
+
+	it("warns about changes made since instead of overwriting them, unless forced", async () => {
+		await send("!eztest --rename name|Hobgoblin");
+		getToken("g1").set("name", "Boss");
+
+		const { result, text } = await send("!ezlibutils --undo");
+		assert.equal(result, 1);
+		assert.match(text, /--rename was not reversed because these changed since: Hobgoblin/);
+		assert.equal(getToken("g1").get("name"), "Boss");
+
+		assert.equal((await send("!ezlibutils --undo entry|1 force|true")).result, 0);
+		assert.equal(getToken("g1").get("name"), "Goblin");
+	});
+
+	it("keeps each player's history apart and lets only the GM reverse someone else's", async () => {
+		await send("!eztest --rename name|Hobgoblin");
+
+		assert.match((await send("!ezlibutils --undo", "p2")).text, /Nothing to undo/);
+		assert.match((await send("!ezlibutils --undo entry|1", "p2")).text, /Only the GM can reverse another player's changes/);
+		assert.equal(getToken("g1").get("name"), "Hobgoblin");
+
+		assert.equal((await send("!ezlibutils --undo entry|1", "gm")).result, 0);
+		assert.equal(getToken("g1").get("name"), "Goblin");
+	});
+
+	it("shows the GM recent entries, newest first", async () => {
+		await send("!eztest --rename name|Hobgoblin");
+		await send("!eztest --note text|hi", "p2");
+		await send("!ezlibutils --undo", "p2");
+
+		const { text } = await send("!ezlibutils --history", "gm");
+		assert.match(text, /Recent changes: 2/);
+		assert.match(text, /#2 \S+ Bob: --note in Test-Module \(1 changes, undone\).*#1 \S+ Alice: --rename in Test-Module \(1 changes\)/s);
+		assert.equal((await send("!ezlibutils --history")).result, 1);
+	});
+});
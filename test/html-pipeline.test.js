@@ -0,0 +1,231 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { useLibUtils, toPlain } = require("./sandbox");
+
+describe("HTML escaping", () => {
+	const sandbox = useLibUtils({ utilities: ["EscapeHtml", "CreateChatButton", "RenderTemplate", "WhisperAlertMessage"] });
+
+	it("escapes markup, quotes, and no-break spaces", () => {
+		assert.equal(sandbox.utils.EscapeHtml({ text: "a & <b> \"c\" " }), "a &amp; &lt;b&gt; &quot;c&quot;&nbsp;");
+		assert.equal(sandbox.utils.EscapeHtml({ text: "\"c\"", escapeQuotes: false }), "\"c\"");
+		assert.equal(sandbox.utils.EscapeHtml({ text: 12 }), "12");
+	});
+
+	it("escapes chat button commands and labels", () => {
+		assert.equal(
+			sandbox.utils.CreateChatButton({ label: "<Go>", command: "!ez --say \"a&b\"" }),
+			"<a class=\"easy-button\" href=\"!ez --say &quot;a&amp;b&quot;\">&lt;Go&gt;</a>"
+		);
+	});
+
+	it("escapes the data shown by the default template", async () => {
+		const html = await sandbox.utils.RenderTemplate({ template: "default", content: { "<k>": "v & w" }, theme: "default" });
+
+		assert.match(html, /<td>&lt;k&gt;<\/td><td>v &amp; w<\/td>/);
+	});
+
+	it("keeps spaces in alerts and turns only newlines into line breaks", async () => {
+		await sandbox.utils.WhisperAlertMessage({ severity: 6, title: "a <b>", description: "one two\nthree", apiCall: { content: "!ez --say \"hi\"", who: "Alice" } });
+		const { message } = sandbox.chats.at(-1);
+
+		assert.match(message, /A &lt;B&gt;/);
+		assert.match(message, /one two<br>three/);
+		assert.match(message, /!ez --say "hi"/);
+		assert.doesNotMatch(message, /&nbsp;/);
+	});
+});
+
+describe("_convertHtmlToJson", () => {
+	const sandbox = useLibUtils({ utilities: ["ConvertHtmlToJson", "ConvertJsonToHtml"] });
+
+	// Parses an HTML snippet and returns it as compact HTML, with the problems found as "code tag line:column"
+	const parse = (html) => {
+		const errors = [];
+		const htmlJson = sandbox.utils.ConvertHtmlToJson({ html, errors });
+
+		return {
+			html: sandbox.utils.ConvertJsonToHtml({ htmlJson, compact: true }),
+			errors: toPlain(errors).map(({ code, tag, line, column }) => { return `${code} ${tag} ${line}:${column}`; }),
+		};
+	};
+
+	it("never gives void and self-closing elements children", () => {
+		assert.deepEqual(parse("<p>a<br>b<img src=x.png>c<hr/>d"), { html: "<p>a<br>b<img src=\"x.png\">c</p><hr>d", errors: [] });
+	});
+
+	it("closes list items, cells, and paragraphs implicitly", () => {
+		assert.deepEqual(parse("<ul><li>a<li>b</ul><p>x<div>y</div>"), { html: "<ul><li>a</li><li>b</li></ul><p>x</p><div>y</div>", errors: [] });
+		assert.deepEqual(parse("<table><tr><td>1<td>2</tr></table>"), { html: "<table><tr><td>1</td><td>2</td></tr></table>", errors: [] });
+	});
+
+	it("skips comments and doctypes and keeps style text whole", () => {
+		assert.equal(parse("<!-- c --><b>x</b><!doctype html>").html, "<b>x</b>");
+		assert.equal(parse("<style>p > b { }</style>").html, "<style>p > b { }</style>");
+	});
+
+	it("reads unquoted, boolean, and quoted attributes holding quotes or `>`", () => {
+		const [input] = JSON.parse(sandbox.utils.ConvertHtmlToJson({ html: "<input type=checkbox checked data-x='a \"b\" > c'>" }));
+
+		assert.deepEqual([input.props.type, input.props.checked, input.props["data-x"]], ["checkbox", "", "a \"b\" > c"]);
+		assert.equal(parse("<p title=\"x>y\">t</p>").html, "<p title=\"x&gt;y\">t</p>");
+	});
+
+	it("reports unclosed and stray tags with their line and column, and keeps going", () => {
+		assert.deepEqual(parse("<div>\n  <b>bold</div></i>"), { html: "<div> <b>bold</b></div>", errors: ["0x0E3B7A19 b 2:3", "0x04C9F1B3 i 2:16"] });
+		assert.deepEqual(parse("<div><!-- open").errors, ["0x0B5E2D47  1:6", "0x0E3B7A19 div 1:1"]);
+	});
+});
+
+describe("_applyCssToHtmlJson", () => {
+	const sandbox = useLibUtils({ utilities: ["ConvertCssToJson", "ConvertHtmlToJson", "ApplyCssToHtmlJson", "ConvertJsonToHtml"] });
+
+	// Styles an HTML snippet with a stylesheet and returns the compact HTML
+	const style = (css, html) => {
+		const cssJson = sandbox.utils.ConvertCssToJson({ css });
+		const htmlJson = sandbox.utils.ConvertHtmlToJson({ html });
+
+		return sandbox.utils.ConvertJsonToHtml({ htmlJson: sandbox.utils.ApplyCssToHtmlJson({ cssJson, htmlJson }), compact: true });
+	};
+
+	it("matches compound, descendant, and child selectors", () => {
+		assert.equal(
+			style(
+				"div.card { margin: 1px; } .card p { margin: 2px; } .card > .title { margin: 3px; } #log .entry { margin: 4px; } a.btn:first-child { margin: 5px; }",
+				"<div class=\"card\"><h3 class=\"title\">T</h3><p>x</p><section><p class=\"title\">y</p></section></div><div id=\"log\"><span><i class=\"entry\">e</i></span></div><span><a class=\"btn\">1</a><a class=\"btn\">2</a></span>"
+			),
+			"<div style=\"margin:1px\" class=\"card\"><h3 style=\"margin:3px\" class=\"title\">T</h3><p style=\"margin:2px\">x</p><section><p style=\"margin:2px\" class=\"title\">y</p></section></div><div id=\"log\"><span><i style=\"margin:4px\" class=\"entry\">e</i></span></div><span><a style=\"margin:5px\" class=\"btn\">1</a><a class=\"btn\">2</a></span>"
+		);
+	});
+
+	it("matches adjacent and general sibling selectors", () => {
+		assert.equal(
+			style("h3 + p { margin: 1px; } h3 ~ p { padding: 2px; }", "<div><p>0</p><h3>t</h3><p>a</p><p>b</p></div>"),
+			"<div><p>0</p><h3>t</h3><p style=\"margin:1px;padding:2px\">a</p><p style=\"padding:2px\">b</p></div>"
+		);
+	});
+
+	it("lets the more specific selector win whatever its place in the stylesheet", () => {
+		assert.equal(
+			style("#x { margin: 1px; } .a.b { margin: 2px; } p { margin: 3px; }", "<p id=\"x\" class=\"a b\">1</p><p class=\"a b\">2</p><p>3</p>"),
+			"<p style=\"margin:1px\" class=\"a b\" id=\"x\">1</p><p style=\"margin:2px\" class=\"a b\">2</p><p style=\"margin:3px\">3</p>"
+		);
+	});
+
+	it("breaks specificity ties by source order", () => {
+		assert.equal(style("p { margin: 1px; } p { margin: 2px; }", "<p>x</p>"), "<p style=\"margin:2px\">x</p>");
+	});
+
+	it("layers !important declarations over normal ones and inline styles over the stylesheet", () => {
+		assert.equal(style("p { margin: 1px !important; } #x { margin: 2px; }", "<p id=\"x\" style=\"margin: 3px\">x</p>"), "<p style=\"margin:1px\" id=\"x\">x</p>");
+		assert.equal(style("p { margin: 1px !important; } p { margin: 2px !important; } #x { margin: 4px }", "<p id=\"x\">x</p>"), "<p style=\"margin:2px\" id=\"x\">x</p>");
+		assert.equal(style("#x { margin: 2px; }", "<p id=\"x\" style=\"margin: 3px\">x</p>"), "<p style=\"margin:3px\" id=\"x\">x</p>");
+		assert.equal(style("p { margin: 2px !important; }", "<p style=\"margin: 3px !important\">x</p>"), "<p style=\"margin:3px\">x</p>");
+	});
+
+	it("matches attribute selectors with every operator, the i flag, and alongside classes", () => {
+		assert.equal(
+			style(
+				"a[href^=\"!ezmod\"] { color: red; } a[href$=\".png\"] { margin: 1px; } a[href*=\"--x\"] { padding: 1px; } [data-tags~=\"b\"] { border: 0; } " +
+				"[lang|=en] { width: 1px; } [title] { height: 1px; } a[title=\"HI\" i] { top: 1px; } .btn[href^=\"!ez\"] { left: 1px; }",
+				"<a href=\"!ezmod --x\" class=\"btn\">1</a><a href=\"a.png\" title=\"hi\">2</a><span data-tags=\"a b c\" lang=\"en-US\">3</span><span data-tags=\"ab\" lang=\"english\">4</span>"
+			),
+			"<a style=\"color:red;padding:1px;left:1px\" class=\"btn\" href=\"!ezmod --x\">1</a><a style=\"margin:1px;height:1px;top:1px\" href=\"a.png\" title=\"hi\">2</a>" +
+			"<span style=\"border:0;width:1px\" data-tags=\"a b c\" lang=\"en-US\">3</span><span data-tags=\"ab\" lang=\"english\">4</span>"
+		);
+	});
+
+	it("leaves inherited values to the parent's inline style instead of repeating them", () => {
+		assert.equal(
+			style(".card { color: red; font-size: 0.9em; } .card i { color: blue; }", "<div class=\"card\">Hi <p>there <i>x <span>y</span></i></p></div>"),
+			"<div style=\"color:red;font-size:.9em\" class=\"card\">Hi <p>there <i style=\"color:blue\">x <span>y</span></i></p></div>"
+		);
+	});
+
+	it("resolves inherit, initial, and unset", () => {
+		assert.equal(
+			style(".card { color: red; } b { color: inherit; margin: unset; } i { color: initial; }", "<div class=\"card\"><b>a</b><i>b</i></div>"),
+			"<div style=\"color:red\" class=\"card\"><b style=\"color:red;margin:initial\">a</b><i style=\"color:initial\">b</i></div>"
+		);
+	});
+
+	it("counts element siblings only", () => {
+		assert.equal(
+			style("li:nth-child(odd) { color: red; } li:last-child { color: blue; }", "<ul>text<li>a</li> <li>b</li> <li>c</li></ul>"),
+			"<ul>text<li style=\"color:red\">a</li><li>b</li><li style=\"color:blue\">c</li></ul>"
+		);
+	});
+
+	it("treats whitespace as content for :empty, as browsers do", () => {
+		assert.equal(
+			style("td:empty { color: red; }", "<table><tr><td></td><td> </td><td>x</td></tr></table>"),
+			"<table><tr><td style=\"color:red\"></td><td> </td><td>x</td></tr></table>"
+		);
+	});
+});
+
+describe("_sanitizeHtmlJson", () => {
+	const sandbox = useLibUtils({ utilities: ["ConvertHtmlToJson", "SanitizeHtmlJson", "ConvertJsonToHtml"] });
+
+	const sanitize = (html, profile = "chat") => {
+		const htmlJson = sandbox.utils.SanitizeHtmlJson({ htmlJson: sandbox.utils.ConvertHtmlToJson({ html }), profile });
+
+		return sandbox.utils.ConvertJsonToHtml({ htmlJson, compact: true });
+	};
+
+	it("renames, drops, and unwraps tags Roll20 does not show", () => {
+		assert.equal(sanitize("<section>a</section><script>x()</script><del>b</del>"), "<div>a</div><s>b</s>");
+		assert.equal(sanitize("<details><summary>Title</summary>Body</details>"), "<div><div>Title</div>Body</div>");
+	});
+
+	it("keeps the text of an unwrapped tag apart from its neighbours", () => {
+		assert.equal(sanitize("<p>a<foo>b</foo>c</p>"), "<p>a b c</p>");
+	});
+
+	it("logs input it cannot read under the calling module's name", () => {
+		assert.equal(sandbox.utils.SanitizeHtmlJson({ htmlJson: "not json" }), 1);
+		assert.match(sandbox.logs.at(-1), /\[Test-Module\] \(ERROR\): \{"code": 30000/);
+	});
+
+	it("trims links and sources before checking them", () => {
+		assert.equal(sanitize("<a href=\"  javascript:alert(1)\">x</a>"), "<a>x</a>");
+		assert.equal(sanitize("<a href=\"\t!ezmod --x \">y</a>"), "<a href=\"!ezmod --x\">y</a>");
+		assert.equal(sanitize("<img src=\" https://example.com/a.png\">"), "<img src=\"https://example.com/a.png\">");
+	});
+});
+
+describe("_convertJsonToHtml compact output", () => {
+	const sandbox = useLibUtils({ utilities: ["ConvertJsonToHtml"] });
+
+	const compactStyle = (style) => {
+		const htmlJson = JSON.stringify([{ element: "div", props: { style }, children: [] }]);
+
+		return sandbox.utils.ConvertJsonToHtml({ htmlJson, compact: true });
+	};
+
+	it("shortens colors, zero units, and spacing", () => {
+		assert.equal(
+			compactStyle({ margin: "0px  0.5em", color: "rgb(255, 255, 255)", border: "1px solid #AABBCC" }),
+			"<div style=\"margin:0 .5em;color:#fff;border:1px solid #abc\"></div>"
+		);
+	});
+
+	it("leaves quoted strings, url(), and calc() as written", () => {
+		assert.equal(
+			compactStyle({
+				"font-family": "\"Times  New , Roman\" ,  serif",
+				width: "calc(100% - 0px)",
+				content: "'0px  #aabbcc'",
+				background: "url( 'a b.png' )  #ffffff",
+			}),
+			"<div style=\"font-family:&quot;Times  New , Roman&quot;,serif;width:calc(100% - 0px);content:'0px  #aabbcc';background:url( 'a b.png' ) #fff\"></div>"
+		);
+	});
+
+	it("reports the output size", () => {
+		const stats = {};
+		const html = sandbox.utils.ConvertJsonToHtml({ htmlJson: JSON.stringify([{ element: "p", props: {}, children: [{ element: "text", children: [{ innerText: "é" }] }] }]), compact: true, stats });
+
+		assert.equal(html, "<p>é</p>");
+		assert.equal(stats.bytes, 9);
+	});
+});
@@ -0,0 +1,121 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSandbox, loadLibUtils, toPlain } = require("./sandbox");
+
+// Both libraries carry the same parser; every case runs against each copy
+const copies = {
+	"easy-lib-utils": async () => {
+		const { utils } = await loadLibUtils({ utilities: ["ParseChatCommands"] });
+
+		return utils.ParseChatCommands;
+	},
+	"easy-utils": async () => {
+		const { EASY_UTILS } = loadSandbox({ files: ["easy-utils/easy-utils.js"], globals: ["EASY_UTILS"] });
+
+		return EASY_UTILS.getFunction("_parseChatCommands", { modName: "Test-Module" });
+	},
+};
+
+Object.entries(copies).forEach(([copy, load]) => {
+	describe(`_parseChatCommands (${copy})`, () => {
+		let parse;
+		// Most cases only look at the text; `quoted` is checked on its own below
+		const list = (apiCallContent, options = {}) => {
+			return toPlain(parse({ apiCallContent, asList: true, ...options })).map(({ command, args }) => { return { command, args }; });
+		};
+
+		before(async () => {
+			parse = await load();
+		});
+
+		it("groups quoted text and keeps a quoted `--` as an argument", () => {
+			const commands = parse({ apiCallContent: "!ezmod --speak \"Hello -- there, friend\" --help" });
+
+			assert.deepEqual(toPlain(commands), [
+				["--speak", ["Hello -- there, friend"]],
+				["--help", []],
+			]);
+		});
+
+		it("keeps every command in order with asList", () => {
+			assert.deepEqual(list("!ezmod --add a --add b"), [
+				{ command: "--add", args: ["a"] },
+				{ command: "--add", args: ["b"] },
+			]);
+		});
+
+		it("opens a quote at the start of a value", () => {
+			assert.deepEqual(list("!ezmod --speak text|\"Hello there\" volume|'very loud'"), [
+				{ command: "--speak", args: ["text|Hello there", "volume|very loud"] },
+			]);
+		});
+
+		it("records which arguments were quoted", () => {
+			const [{ quoted }] = toPlain(parse({ apiCallContent: "!ezmod --set code|\"12\" 'a b' on|true \\\"x\\\" 'open", asList: true }));
+
+			assert.deepEqual(quoted, [true, true, false, false, false]);
+		});
+
+		it("keeps each argument's text to the end of its command as typed", () => {
+			const [say, help] = toPlain(parse({ apiCallContent: "!ezmod --say a  text|\"b \"c\" d\"  --help x", asList: true }));
+
+			assert.deepEqual(say.tails, ["a  text|\"b \"c\" d\"", "text|\"b \"c\" d\"", "d\""]);
+			assert.deepEqual(help.tails, ["x"]);
+		});
+
+		it("treats apostrophes inside words as literal text", () => {
+			assert.deepEqual(list("!ezmod --speak Don't do that --help"), [
+				{ command: "--speak", args: ["Don't", "do", "that"] },
+				{ command: "--help", args: [] },
+			]);
+			assert.deepEqual(list("!ezmod --name O'Brien --x 1"), [
+				{ command: "--name", args: ["O'Brien"] },
+				{ command: "--x", args: ["1"] },
+			]);
+		});
+
+		it("keeps an apostrophe decoded from an HTML entity", () => {
+			assert.deepEqual(list("!ezmod --speak text|Don&#39;t --help"), [
+				{ command: "--speak", args: ["text|Don't"] },
+				{ command: "--help", args: [] },
+			]);
+		});
+
+		it("reads a quote that never closes literally", () => {
+			assert.deepEqual(list("!ezmod --speak 'twas night --help"), [
+				{ command: "--speak", args: ["'twas", "night"] },
+				{ command: "--help", args: [] },
+			]);
+			assert.deepEqual(list("!ezmod --a \"one two\" \"three --b"), [
+				{ command: "--a", args: ["one two", "\"three"] },
+				{ command: "--b", args: [] },
+			]);
+		});
+
+		it("does not let an escaped quote close an open one", () => {
+			assert.deepEqual(list("!ezmod --say \"a \\\" b --x"), [
+				{ command: "--say", args: ["\"a", "\"", "b"] },
+				{ command: "--x", args: [] },
+			]);
+		});
+
+		it("honours backslash escapes", () => {
+			assert.deepEqual(list("!ezmod --say \\\"quoted\\\" \\--not-a-command"), [
+				{ command: "--say", args: ["\"quoted\"", "--not-a-command"] },
+			]);
+		});
+
+		it("keeps a bare `--` as its own command instead of extending the previous one", () => {
+			assert.deepEqual(list("!ezmod --tip -- stray words"), [
+				{ command: "--tip", args: [] },
+				{ command: "--", args: ["stray", "words"] },
+			]);
+		});
+
+		it("tokenizes entities literally when decoding is off", () => {
+			assert.deepEqual(list("!ezmod --say &quot;a b&quot;", { decodeEntities: false }), [
+				{ command: "--say", args: ["&quot;a", "b&quot;"] },
+			]);
+		});
+	});
+});
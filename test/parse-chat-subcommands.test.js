@@ -0,0 +1,125 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSandbox, loadLibUtils, useLibUtils, toPlain } = require("./sandbox");
+
+// Both libraries carry the same parsers; every case runs against each copy
+const copies = {
+	"easy-lib-utils": async () => {
+		const { utils } = await loadLibUtils({ utilities: ["ParseChatCommands", "ParseChatSubcommands"] });
+
+		return { parseCommands: utils.ParseChatCommands, parseSubcommands: utils.ParseChatSubcommands };
+	},
+	"easy-utils": async () => {
+		const { EASY_UTILS } = loadSandbox({ files: ["easy-utils/easy-utils.js"], globals: ["EASY_UTILS"] });
+		const moduleSettings = { modName: "Test-Module" };
+
+		return {
+			parseCommands: EASY_UTILS.getFunction("_parseChatCommands", moduleSettings),
+			parseSubcommands: EASY_UTILS.getFunction("_parseChatSubcommands", moduleSettings),
+		};
+	},
+};
+
+Object.entries(copies).forEach(([copy, load]) => {
+	describe(`_parseChatSubcommands (${copy})`, () => {
+		let parseCommands;
+		let parseSubcommands;
+
+		// Parses the first command of a chat line the way the router does
+		const argsOf = (apiCallContent) => {
+			const [{ args, quoted }] = parseCommands({ apiCallContent, asList: true });
+			const errors = [];
+
+			return { args: toPlain(parseSubcommands({ subcommands: args, quoted, errors })), errors: toPlain(errors) };
+		};
+
+		before(async () => {
+			({ parseCommands, parseSubcommands } = await load());
+		});
+
+		it("splits keys and values, collects repeats, and nests dotted keys", () => {
+			assert.deepEqual(argsOf("!ezmod --set hp|12 style.color|#f00 tag|a tag|b note| loud #tag").args, {
+				hp: 12,
+				style: { color: "#f00" },
+				tag: ["a", "b"],
+				note: "",
+				loud: true,
+				"#tag": true,
+			});
+		});
+
+		it("coerces only unquoted finite numbers", () => {
+			assert.deepEqual(argsOf("!ezmod --set a|12 b|\"12\" c|007 d|Infinity e|NaN f|1e400 g|-0.5").args, {
+				a: 12,
+				b: "12",
+				c: "007",
+				d: "Infinity",
+				e: "NaN",
+				f: "1e400",
+				g: -0.5,
+			});
+		});
+
+		it("coerces only unquoted booleans", () => {
+			assert.deepEqual(argsOf("!ezmod --set on|true off|false text|\"true\" word|True").args, { on: true, off: false, text: "true", word: "True" });
+		});
+
+		it("reports a value later used as a group instead of replacing it", () => {
+			const { args, errors } = argsOf("!ezmod --set style|red style.color|blue");
+
+			assert.deepEqual(args, { style: "red" });
+			assert.deepEqual(errors.map(({ argument, code }) => { return { argument, code }; }), [{ argument: "style", code: "0x0B2E7F4C" }]);
+		});
+
+		it("reports a group later used as a value or a flag", () => {
+			const { args, errors } = argsOf("!ezmod --set a.b.c|1 a.b|2 a");
+
+			assert.deepEqual(args, { a: { b: { c: 1 } } });
+			assert.deepEqual(errors.map(({ argument }) => { return argument; }), ["a.b", "a"]);
+		});
+
+		it("never writes to object prototypes", () => {
+			assert.deepEqual(argsOf("!ezmod --set __proto__.polluted|1 constructor|x").args, {});
+			assert.equal({}.polluted, undefined);
+		});
+	});
+});
+
+describe("_parseChatSubcommands with _createCommandSchema", () => {
+	const sandbox = useLibUtils({ utilities: ["ParseChatCommands", "ParseChatSubcommands", "CreateCommandSchema"] });
+	let schema;
+
+	before(() => {
+		schema = sandbox.utils.CreateCommandSchema({
+			commands: {
+				"--set": {
+					description: "Set values.",
+					args: {
+						text: { type: "string" },
+						on: { type: "boolean" },
+						n: { type: "number" },
+					},
+					handler: () => {},
+				},
+			},
+		});
+	});
+
+	const validate = (apiCallContent) => {
+		const [{ command, args, quoted }] = sandbox.utils.ParseChatCommands({ apiCallContent, asList: true });
+
+		return toPlain(schema.validate({ command, parsedArgs: sandbox.utils.ParseChatSubcommands({ subcommands: args, quoted }) }));
+	};
+
+	it("keeps quoted boolean-looking text for string arguments and coerces it for boolean ones", () => {
+		assert.deepEqual(validate("!ezmod --set text|\"true\" on|\"yes\"").args, { text: "true", on: true });
+		assert.deepEqual(validate("!ezmod --set on|true").args, { on: true });
+	});
+
+	it("rejects values that are not finite numbers", () => {
+		assert.equal(validate("!ezmod --set n|Infinity").isValid, false);
+		assert.equal(validate("!ezmod --set n|NaN").isValid, false);
+		assert.equal(schema.validate({ command: "--set", parsedArgs: { n: "Infinity" } }).isValid, false);
+		assert.deepEqual(validate("!ezmod --set n|\"12\"").args, { n: 12 });
+	});
+});
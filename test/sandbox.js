@@ -0,0 +1,141 @@
+/*!
+@description: Loads Easy module scripts into a stand-in for the Roll20 API sandbox so they can be tested with
+	`node --test`. Only the parts of the Roll20 API the scripts touch are provided.
+!*/
+
+const { before, beforeEach } = require("node:test");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+// Counts created objects so generated IDs never repeat, even after removals
+let createdCount = 0;
+
+// Minimal Roll20 object: `id`, `get`, `set`, and `remove` over a plain attribute map
+const createRoll20Object = (objects, type, attributes) => {
+	createdCount++;
+	const props = { _type: type, _id: attributes._id || `${type}-${createdCount}`, ...attributes };
+	const obj = {
+		id: props._id,
+		get: (key) => { return props[key]; },
+		set: (keyOrMap, value) => {
+			Object.assign(props, typeof keyOrMap === "object" ? keyOrMap : { [keyOrMap]: value });
+		},
+		remove: () => {
+			objects.splice(objects.indexOf(obj), 1);
+		},
+		toJSON: () => { return { ...props }; },
+	};
+	objects.push(obj);
+
+	return obj;
+};
+
+/**
+ * Runs scripts from `src/` in a fresh sandbox and returns the globals they define.
+ *
+ * @param {Object} options - The options object.
+ * @param {Array<string>} options.files - Paths relative to `src/`, loaded in order.
+ * @param {Array<string>} options.globals - Top-level names to expose, e.g. "EASY_LIB_UTILITIES".
+ * @param {Array<Object>} [options.objects=[]] - Roll20 objects as `{ _type, _id, ...attributes }`.
+ * @param {Array<string>} [options.gmIds=["gm"]] - Player IDs that `playerIsGM` accepts.
+ * @returns {Object} - The exposed globals plus `chats`, `logs`, `objects`, `state`, and `fire(event, ...args)`.
+ */
+const loadSandbox = ({ files, globals, objects = [], gmIds = ["gm"] }) => {
+	const handlers = {};
+	const chats = [];
+	const logs = [];
+	const roll20Objects = [];
+
+	objects.forEach(({ _type, ...attributes }) => { createRoll20Object(roll20Objects, _type, attributes); });
+
+	const context = vm.createContext({
+		state: {},
+		on: (event, handler) => { (handlers[event] = handlers[event] || []).push(handler); },
+		sendChat: (speakingAs, message) => { chats.push({ speakingAs, message }); },
+		log: (message) => { logs.push(`${message}`); },
+		getObj: (type, id) => {
+			return roll20Objects.find(obj => { return obj.get("_type") === type && obj.get("_id") === id; });
+		},
+		findObjs: (query) => {
+			return roll20Objects.filter(obj => { return Object.entries(query).every(([key, value]) => { return obj.get(key) === value; }); });
+		},
+		createObj: (type, attributes) => { return createRoll20Object(roll20Objects, type, attributes); },
+		playerIsGM: (playerId) => { return gmIds.includes(playerId); },
+		Campaign: () => { return { get: () => { return ""; } }; },
+		console,
+		setTimeout,
+		clearTimeout,
+	});
+
+	const source = files
+		.map(file => { return fs.readFileSync(path.join(__dirname, "..", "src", file), "utf8"); })
+		.join("\n;\n");
+	const exposed = globals.map(name => { return `globalThis.${name} = ${name};`; }).join("\n");
+	vm.runInContext(`${source}\n;\n${exposed}`, context);
+
+	return {
+		...Object.fromEntries(globals.map(name => { return [name, context[name]]; })),
+		chats,
+		logs,
+		objects: roll20Objects,
+		state: context.state,
+		fire: (event, ...args) => {
+			return Promise.all((handlers[event] || []).map(handler => { return handler(...args); }));
+		},
+	};
+};
+
+/**
+ * Loads Easy-LibUtils, runs its `ready` handler, and returns its utilities and shared factories.
+ *
+ * @param {Object} [options={}] - Passed to `loadSandbox`; `utilities` lists the functions to fetch.
+ * @returns {Object} - The sandbox plus `utils` (fetched utilities) and `forge` (`EASY_MODULE_FORGE`).
+ */
+const loadLibUtils = async ({ utilities = [], ...options } = {}) => {
+	const sandbox = loadSandbox({ files: ["easy-lib-utility/easy-lib-utils.js"], globals: ["EASY_LIB_UTILITIES", "EASY_MODULE_FORGE"], ...options });
+	await sandbox.fire("ready");
+
+	const utils = sandbox.EASY_LIB_UTILITIES.FetchUtilities({
+		requestedFunctionsArray: utilities,
+		thisModuleSettings: { modName: "Test-Module", chatName: "eztest", version: "1.0.0" },
+	});
+
+	return { ...sandbox, utils, forge: sandbox.EASY_MODULE_FORGE };
+};
+
+/**
+ * Loads Easy-LibUtils for the enclosing `describe` block; its tests read the sandbox from the returned object.
+ *
+ * Hooks run in the order they are added, so a `before` or `beforeEach` added after this one sees the sandbox.
+ *
+ * @param {Object} [options={}] - Passed to `loadLibUtils`.
+ * @param {Object} [hooks={}] - Set `each: true` to load a fresh sandbox before every test rather than once.
+ * @returns {Object} - Filled with what `loadLibUtils` returns once the hook has run.
+ */
+const useLibUtils = (options = {}, { each = false } = {}) => {
+	const sandbox = {};
+
+	(each ? beforeEach : before)(async () => {
+		Object.assign(sandbox, await loadLibUtils(options));
+	});
+
+	return sandbox;
+};
+
+// A chat message as Roll20 delivers it to `chat:message`
+const apiMessage = (content, playerid = "p1", selected = []) => {
+	return { type: "api", content, playerid, who: "Alice", selected };
+};
+
+// Whispers are sent as `/w "Name" <html>`; tests usually only care about the visible text
+const textOf = (message) => {
+	return `${message}`.replace(/<[^>]*>/g, " ").replace(/&nbsp;/g, " ").replace(/\s+/g, " ").trim();
+};
+
+// Values made inside the sandbox have its own prototypes; copy them so `deepStrictEqual` compares contents only
+const toPlain = (value) => {
+	return value === undefined ? undefined : JSON.parse(JSON.stringify(value?.constructor?.name === "Map" ? [...value.entries()] : value));
+};
+
+module.exports = { loadSandbox, loadLibUtils, useLibUtils, apiMessage, textOf, toPlain };
@@ -0,0 +1,118 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useLibUtils, apiMessage, textOf, toPlain } = require("./sandbox");
+
+describe("_createWizardManager", () => {
+	const sandbox = useLibUtils({
+		utilities: ["RegisterWizard", "StartWizard"],
+		objects: [{ _type: "player", _id: "p1", _displayname: "Alice" }],
+	}, { each: true });
+	let router;
+	let ended;
+
+	// Starts a wizard for p1 and returns a function that sends `--wizard` arguments for its session
+	const start = async (name) => {
+		const raw = apiMessage("!eztest --start");
+		const token = await sandbox.utils.StartWizard({ name, msgDetails: { raw, senderDisplayName: "Alice" } });
+
+		return async (args) => {
+			sandbox.chats.length = 0;
+			await router.handle(apiMessage(`!ezlibutils --wizard token|${token} ${args}`));
+
+			return textOf(sandbox.chats.at(-1)?.message || "");
+		};
+	};
+
+	beforeEach(() => {
+		ended = [];
+		router = sandbox.forge.getFactory("ChatRouter");
+
+		const onEnd = (answers, { reason }) => { ended.push({ reason, answers: toPlain(answers) }); };
+		sandbox.utils.RegisterWizard({
+			name: "npc",
+			firstStep: "name",
+			steps: {
+				name: { prompt: "Name?", next: "kind" },
+				kind: { prompt: "Kind?", choices: [{ label: "Beast", value: "beast" }, { label: "Pair", value: 2 }], next: "dice" },
+				dice: { prompt: "Hit dice?", input: "number" },
+			},
+			onComplete: onEnd,
+			onCancel: onEnd,
+		});
+		sandbox.utils.RegisterWizard({
+			name: "broken",
+			firstStep: "size",
+			steps: { size: { prompt: "Size?", next: "sise" } },
+			onComplete: onEnd,
+			onCancel: onEnd,
+		});
+	});
+
+	it("sends typed answers last so quotes in them survive", async () => {
+		const send = await start("npc");
+		const buttons = sandbox.chats.at(-1).message;
+
+		assert.match(buttons, /input\|&quot;\?\{Name\?\}&quot;">/);
+		await send("input|\"Bob \"the Bold\" O'Neil\"");
+		await send("answer|\"beast\"");
+		await send("input|\"3\"");
+
+		assert.deepEqual(ended, [{ reason: "complete", answers: { name: "Bob \"the Bold\" O'Neil", kind: "beast", dice: 3 } }]);
+	});
+
+	it("keeps typed text exactly as typed when another command follows it", async () => {
+		const send = await start("npc");
+		await send("input|\" Bob \"the Bold\" \" --modules");
+
+		assert.deepEqual(sandbox.chats.map(({ message }) => { return /Kind\?|Easy modules listening/.exec(textOf(message))?.[0]; }), ["Kind?", "Easy modules listening"]);
+		await send("answer|beast");
+		await send("input|2");
+
+		assert.deepEqual(ended, [{ reason: "complete", answers: { name: " Bob \"the Bold\" ", kind: "beast", dice: 2 } }]);
+	});
+
+	it("reads typed text sent from a batch line", async () => {
+		await start("npc");
+		const [token] = Object.keys(sandbox.state.EasyModuleVault.wizardSessions);
+
+		assert.equal(await router.handle(apiMessage(`!ezlibutils --batch '--wizard token|${token} input|"Bob "the Bold""'`)), 0);
+		assert.equal(sandbox.state.EasyModuleVault.wizardSessions[token].answers.name, "Bob \"the Bold\"");
+	});
+
+	it("only accepts the offered choices and keeps their values", async () => {
+		const send = await start("npc");
+		await send("input|\"Rex\"");
+
+		assert.match(await send("answer|\"dragon\""), /Please pick one of the offered choices/);
+		await send("answer|\"2\"");
+		await send("input|\"1\"");
+
+		assert.deepEqual(ended[0].answers.kind, 2);
+	});
+
+	it("asks again for an empty or non-numeric number", async () => {
+		const send = await start("npc");
+		await send("input|\"Rex\"");
+		await send("answer|\"beast\"");
+
+		assert.match(await send("input|\"\""), /An answer is required/);
+		assert.match(await send("input|\"   \""), /An answer is required/);
+		assert.match(await send("input|\"Infinity\""), /Please enter a number/);
+		assert.deepEqual(ended, []);
+
+		await send("input|\" 7 \"");
+		assert.equal(ended[0].answers.dice, 7);
+	});
+
+	it("reports an answer to a session that does not exist as a failure", async () => {
+		assert.equal(await router.handle(apiMessage("!ezlibutils --wizard token|nope action|cancel")), 1);
+	});
+
+	it("ends the session with an error when `next` names a missing step", async () => {
+		const send = await start("broken");
+
+		assert.match(await send("input|\"big\""), /could not continue/);
+		assert.deepEqual(ended, [{ reason: "error", answers: { size: "big" } }]);
+		assert.ok(sandbox.logs.some(line => { return /\(ERROR\).*has no step 'sise'/.test(line); }));
+	});
+});